@@ -2,16 +2,61 @@
  * script.js
  *
  * Responsibilities:
- * - Mobile navigation toggle (accessible)
- * - Smooth-scrolling for in-page anchor links
- * - Client-side contact form validation + draft persistence (localStorage)
- * - Demo page lightweight interactions (initDemo) ? guarded to demo.html only
+ * - Mobile navigation toggle (accessible): focus trap, inert page and scroll lock while open,
+ *   closes on same-page links and when the viewport leaves the mobile breakpoint
+ * - Smooth-scrolling for in-page anchor links, recorded in history; offset-corrected hash on load
+ * - Scroll spy: the nav link of the section in view gets aria-current="location"
+ * - Client-side contact form validation (native constraints, data-validate-*, contactRules)
+ * - Draft persistence (localStorage): versioned records, expiry, cross-tab sync, optional restore prompt
+ * - Contact form submission through a pluggable transport (simulate | json | urlencoded | function)
+ * - Any number of independent forms ([data-siteapp-form]), each with its own draft, transport and messages
+ * - Offline outbox for contact submissions (IndexedDB, localStorage fallback) with retry/backoff
+ * - Spam protection: honeypot, minimum time-to-submit, per-browser rate limit, challenge hook
+ * - Workflow steppers ([data-stepper]): prev/next, indicators, keyboard, swipe, announcements,
+ *   autoplay with a play/pause toggle and progress bar (off under prefers-reduced-motion),
+ *   deep links (hash or query) with back/forward history
+ * - Analytics: batched funnel events (nav, CTAs, outbound links, form steps, demo steps) sent
+ *   to the console, a beacon endpoint or a function, only once consent is granted
+ * - Light / dark / system theme on <html data-theme>, with toggles and a stored choice
+ * - Content from JSON (a file or an init option) rendered into the services, testimonials and
+ *   team markup through templates, with ordering, featured entries and visibility dates
+ * - Consent banner and preferences dialog (necessary, preferences, analytics) that gate drafts
+ *   and analytics, and delete drafts when consent is withdrawn
+ * - Teardown that reverts every attribute, class, style, text and node SiteApp added or changed
+ * - Logging per module (SiteApp:nav, :form, :demo) to the console, a ring buffer or a beacon
+ *   collector; sampled, deduplicated reports of uncaught errors; SiteApp.getDiagnostics()
+ * - Declarative configuration: a #siteapp-config JSON block and data-siteapp-* attributes on
+ *   <html>/<body>; forms adopt existing error (aria-describedby) and status elements;
+ *   <html data-siteapp="loaded|enhanced"> tells inline fallbacks to stand down
+ * - Scoped apps (SiteApp.create) confined to an element or ShadowRoot, each with its own options,
+ *   events, forms, drafts and teardown
+ * - Localized strings: locale bundles (en, es, de), <html lang> or `locale` option, plural rules
+ * - Plugin registration (SiteApp.use) for modules that join init/teardown
  *
  * Public API:
  * - SiteApp.init(options)
- * - SiteApp.teardown()
+ * - SiteApp.configure(partial) - change options of the running app; restarts only affected modules
+ * - SiteApp.teardown() - restores the page exactly as init() found it
+ * - SiteApp.create({ root, name, ...options }) -> an app with this same API, scoped to root
+ * - SiteApp.use(plugin)
+ * - SiteApp.Stepper(el, [options]) -> { next, prev, goTo, pause, resume, destroy, current, playing } / .get(el) / .list()
+ * - SiteApp.setLocale(locale) / getLocale() / t(key, [params])
+ * - SiteApp.on(name, fn) -> unsubscribe / once(name, fn) / off(name, [fn])
+ * - SiteApp.getDiagnostics() -> { log, options, plugins, forms, listeners, errors, ... }
  *
- * Initializes itself once on DOMContentLoaded if not already initialized.
+ * Events (also dispatched as bubbling DOM CustomEvents named `siteapp:<name>`):
+ *   init, teardown, locale-change, before-nav-open*, nav-open, nav-close, form-invalid,
+ *   before-submit*, form-submitted, form-failed, spam-blocked, draft-saved, step-change,
+ *   autoplay-change, section-change, consent-change, theme-change, config-change, content-render
+ *   (* cancelable: call event.preventDefault() to veto)
+ * - SiteApp.forms.enhance(form, [config]) / get(form|key) / list() / teardown(form|key)
+ * - SiteApp.outbox.list() / retry([id]) / discard([id]) / onChange(fn)
+ * - SiteApp.analytics.setConsent(bool) / hasConsent() / track(name, [props]) / flush()
+ * - SiteApp.theme.get() / set('light' | 'dark' | 'system') / resolved()
+ * - SiteApp.consent.get() / allows(category) / update(choices) / acceptAll() / rejectAll() / showPreferences()
+ *
+ * Initializes itself once on DOMContentLoaded if not already initialized, with the options the
+ * page declares (see Declarative configuration).
  *
  * This file is self-contained, portable, and framework-free.
  *
@@ -22,6 +67,25 @@
  *   window.__SITEAPP_ENABLE_TESTS = true;
  *   // Initialize manually:
  *   SiteApp.init({ logger: { level: 'debug' } });
+ *   // Debug the forms only, and post errors to a collector:
+ *   SiteApp.init({ logger: { levels: { form: 'debug' }, transports: ['console', 'ring', 'beacon'], endpoint: '/api/logs' } });
+ *   // Or configure auto-init from the page, without any inline script:
+ *   <html data-siteapp-smooth-scroll-history="replace">
+ *   <script type="application/json" id="siteapp-config">{ "stepper": { "autoplayMs": 4000 } }</script>
+ *   // Send the contact form to a JSON endpoint:
+ *   SiteApp.init({ contactTransport: 'json', contactEndpoint: '/api/contact' });
+ *   // Spanish copy regardless of <html lang>, with one string patched:
+ *   SiteApp.init({ locale: 'es', locales: { es: { successMessage: '\u00a1Gracias!' } } });
+ *   // Add a module that is set up by init() and cleaned up by teardown():
+ *   SiteApp.use({ name: 'banner', defaults: { text: 'Hi' }, setup(ctx) { ... return cleanup; } });
+ *   // Add a field to every contact submission, or veto it:
+ *   SiteApp.on('before-submit', (detail, event) => { detail.payload.source = 'landing'; });
+ *   // Services, testimonials and team from a JSON file (the static HTML stays as the fallback):
+ *   SiteApp.init({ content: { src: 'content.json' } });
+ *   // A second, independent app for a widget in a shadow root:
+ *   const widget = SiteApp.create({ root: host.shadowRoot, name: 'pricing', contactTransport: 'json' });
+ *   // Add rules on top of the markup's constraints (validate may return a Promise):
+ *   SiteApp.init({ contactRules: { company: { maxLength: 80, validate: v => v !== 'ACME' || 'Nice try.' } } });
  */
 
 /**
@@ -31,8 +95,22 @@
  *   SiteApp.init({ logger: { level: 'debug' } });
  *
  * API:
- *   init(options) - options: partial DEFAULTS replacement (see DEFAULTS below)
- *   teardown() - remove listeners and runtime artifacts added by SiteApp
+ *   init(options) - options merged deeply over DEFAULTS and the page's declared options; checked
+ *     against the option schema (wrong types throw, unknown keys are logged)
+ *   configure(partial) - merge more options into the running app (see configure)
+ *   teardown() - remove listeners and undo every DOM change SiteApp made (see Mutation journal),
+ *     so init() / teardown() can repeat without drift
+ *   create({ root, name, ...options }) - a further app working only inside root (see create)
+ *   forms - enhanced forms: enhance(form, [config]), get(form|key), list(), teardown(form|key)
+ *   outbox - queued contact messages: list(), retry([id]), discard([id]), onChange(fn) -> unsubscribe
+ *   analytics - setConsent(bool), hasConsent(), track(name, [props]), flush() (see Analytics)
+ *   theme - get(), set(mode), resolved() (see Theme)
+ *   consent - get(), allows(category), update(choices), acceptAll(), rejectAll(), showPreferences()
+ *   Stepper(el, [options]) - create a stepper; Stepper.get(el), Stepper.list()
+ *   use(plugin) - register a plugin { name, defaults, enabled, setup(ctx), teardown } (see Plugins)
+ *   setLocale(locale) - switch language and re-render live text; getLocale(); t(key, [params])
+ *   on/once(name, fn(detail, event)) - subscribe to lifecycle events; off(name, [fn])
+ *   getDiagnostics() - recent log entries, options, listeners and captured errors (see Diagnostics)
  *
  * Note: This module is UMD-friendly as a global. Prefer ESM import in modern apps.
  */
@@ -59,63 +137,680 @@
     // resilient selector to match multiple markup choices
     mobileNavContainerSelector: '.nav, .main-nav, [data-nav], nav',
     mobileNavOpenClass: 'nav-open',
+    // Where the nav is a modal menu (focus trap, inert page, scroll lock); leaving it closes the
+    // menu. Keep in sync with the stylesheet's mobile breakpoint; '' treats every width as mobile.
+    mobileNavBreakpoint: '(max-width: 719px)',
     enableSmoothScroll: true,
     smoothScrollSelector: 'a[href^="#"]',
     smoothScrollOffset: 16, // px from top for focus visibility (fallback)
+    // Record anchor navigation in the URL: 'push' (back returns to where you were), 'replace', or 'off'
+    smoothScrollHistory: 'push',
     enableContactForm: true,
     contactFormSelector: '#contact-form',
-    contactDraftKey: 'aiagency_contact_draft_v1',
+    contactDraftKey: 'aiagency_contact_draft_v2', // older _vN keys are migrated on load
+    // 'simulate' (no backend), 'json', 'urlencoded', or async function (payload, ctx) => result
+    contactTransport: 'simulate',
+    contactEndpoint: '', // JSON POST target; 'urlencoded' falls back to the form's action
+    contactTimeoutMs: 15000,
+    // Queue messages that fail for transient reasons (offline, network, timeout, 5xx) and retry later
+    enableOutbox: true,
+    contactOutboxKey: 'aiagency_contact_outbox_v1', // IndexedDB name / localStorage fallback key
+    outboxBackoffMs: 5000, // first retry delay; doubles per attempt
+    outboxMaxBackoffMs: 10 * 60 * 1000,
+    // Additional forms to enhance; each gets its own draft, transport and messages via `forms`
+    formSelector: '[data-siteapp-form]',
+    formDraftKeyPrefix: 'aiagency_form_draft_v2:', // + form key (data-siteapp-form value, id or name)
+    // Per-form config keyed by form key: { transport, endpoint, timeoutMs, rules, formRules,
+    // messages, draftKey, enableDraft, draftTtlMs, draftRestore, draftSync, enableOutbox, spam }.
+    // The contact form uses the contact* options.
+    forms: {},
+    // Per-field validation rules merged over native/data-validate-* constraints (see readFieldRules)
+    contactRules: {
+      name: { required: true },
+      email: { required: true, type: 'email' },
+      message: { required: true }
+    },
+    // Cross-field validators: (values, { form, fields }) => { fieldName: message } | null (may be async)
+    contactFormRules: [],
+    validateOnBlur: true,
     formDebounceMs: 500,
-    logger: { level: 'info' }, // debug|info|warn|error|silent
-    messages: {
+    draftTtlMs: 7 * 24 * 60 * 60 * 1000, // drafts older than this are discarded; 0 keeps them forever
+    draftRestore: 'auto', // 'auto' (fill empty fields) | 'prompt' (ask via banner) | 'off'
+    draftSync: true, // keep drafts in sync across tabs via the storage event
+    // Abuse controls for every enhanced form (override per form via forms[key].spam).
+    // Blocked submissions look like success to the sender; they are logged and reported
+    // through a `siteapp:spam-blocked` event on the form.
+    spam: {
+      honeypot: true, // inject a hidden field that people never fill in
+      honeypotField: 'website',
+      minSubmitMs: 3000, // faster than this after the form rendered is treated as a bot
+      rateLimit: { max: 5, windowMs: 10 * 60 * 1000 }, // per browser and form; null disables
+      rateLimitKey: 'aiagency_form_submissions_v1',
+      // Optional proof-of-work / challenge provider: async (payload, { form, key }) =>
+      // false (reject) | true | { extra: 'payload fields' }. Throwing fails the submission.
+      challenge: null
+    },
+    // Logging and error reporting (see Logger). Levels: debug|info|warn|error|silent
+    logger: {
+      level: 'info',
+      levels: {}, // per namespace, e.g. { form: 'debug', nav: 'warn' } (nav, form, demo, plugin names)
+      transports: ['console', 'ring'], // plus 'beacon', a function (entry, args) or { level, write }
+      ringSize: 100, // entries kept in memory for SiteApp.getDiagnostics()
+      endpoint: '', // collector URL for the 'beacon' transport
+      beaconLevel: 'error',
+      beaconBatchSize: 10,
+      beaconFlushMs: 5000,
+      // Report uncaught errors and unhandled promise rejections through the logger
+      captureErrors: true,
+      errorSampleRate: 1, // share of distinct errors reported (0..1)
+      maxErrors: 10 // distinct errors reported per page view; repeats only raise their count
+    },
+    locale: '', // BCP 47 tag; empty follows <html lang>, falling back to 'en'
+    // Extra or patched locale bundles, same shape as LOCALES: { fr: {...}, es: { successMessage: '...' } }
+    locales: {},
+    // Per-key overrides applied on top of the active locale bundle (any locale)
+    messages: {}
+  };
+
+  /**
+   * Locale bundles for every user-facing string. `en` is complete and backs up missing keys in
+   * the others. Values are templates with {placeholders} (see formatMessage) or plural forms
+   * keyed by Intl.PluralRules category ({ one, other, ... }), chosen by the `count` param.
+   */
+  const LOCALES = {
+    en: {
       nameRequired: 'Please enter your name.',
       emailRequired: 'Please enter your email.',
       emailInvalid: 'Please enter a valid email address.',
       messageRequired: 'Please enter a message.',
-      successMessage: 'Thanks! Your message has been received (demo).'
+      successMessage: 'Thanks! Your message has been received (demo).',
+      sending: 'Sending your message...',
+      submitError: 'Sorry, your message could not be sent. Please try again.',
+      submitTimeout: 'The server took too long to respond. Please try again.',
+      fieldRequired: 'Please fill in this field.',
+      urlInvalid: 'Please enter a valid URL.',
+      numberInvalid: 'Please enter a number.',
+      patternMismatch: 'Please match the requested format.',
+      tooShort: { one: 'Please use at least {count} character.', other: 'Please use at least {count} characters.' },
+      tooLong: { one: 'Please use no more than {count} character.', other: 'Please use no more than {count} characters.' },
+      rangeUnderflow: 'Please enter a value of at least {min}.',
+      rangeOverflow: 'Please enter a value no greater than {max}.',
+      fieldMismatch: 'This field does not match.',
+      fieldInvalid: 'Please check this field.',
+      draftRestorePrompt: 'You have an unsent message from {time}. Would you like to restore it?',
+      draftRestoreAction: 'Restore',
+      draftDiscardAction: 'Discard',
+      queuedMessage: 'We could not reach our server just now. Your message is saved and will be sent automatically.',
+      navToggleLabel: 'Toggle navigation',
+      stepLabel: 'Step {step}',
+      stepGoTo: 'Go to step {step}',
+      stepPrev: 'Previous step',
+      stepNext: 'Next step',
+      stepStatus: 'Step {step} of {total}',
+      stepStatusTitled: 'Step {step} of {total}: {title}',
+      autoplayOn: 'Auto-advance: On',
+      autoplayOff: 'Auto-advance: Off',
+      consentTitle: 'Your privacy choices',
+      consentText: 'We use necessary storage to run this site. With your permission we also remember unsent form drafts (preferences) and measure how the site is used (analytics).',
+      consentAcceptAll: 'Accept all',
+      consentRejectAll: 'Reject non-essential',
+      consentCustomize: 'Customize',
+      consentDialogTitle: 'Privacy preferences',
+      consentSave: 'Save choices',
+      consentClose: 'Close',
+      consentNecessary: 'Necessary',
+      consentNecessaryHint: 'Needed for the site to work, such as spam protection and sending your messages. Always on.',
+      consentPreferences: 'Preferences',
+      consentPreferencesHint: 'Remembers unsent form drafts and your theme on this device.',
+      consentAnalytics: 'Analytics',
+      consentAnalyticsHint: 'Usage events, such as which pages and steps are viewed, that help us improve the site.',
+      themeToggle: 'Theme: {mode}',
+      themeLight: 'Light',
+      themeDark: 'Dark',
+      themeSystem: 'System'
+    },
+    es: {
+      nameRequired: 'Introduce tu nombre.',
+      emailRequired: 'Introduce tu correo electr\u00f3nico.',
+      emailInvalid: 'Introduce una direcci\u00f3n de correo electr\u00f3nico v\u00e1lida.',
+      messageRequired: 'Escribe un mensaje.',
+      successMessage: '\u00a1Gracias! Hemos recibido tu mensaje (demo).',
+      sending: 'Enviando tu mensaje...',
+      submitError: 'Lo sentimos, no se pudo enviar tu mensaje. Int\u00e9ntalo de nuevo.',
+      submitTimeout: 'El servidor tard\u00f3 demasiado en responder. Int\u00e9ntalo de nuevo.',
+      fieldRequired: 'Rellena este campo.',
+      urlInvalid: 'Introduce una URL v\u00e1lida.',
+      numberInvalid: 'Introduce un n\u00famero.',
+      patternMismatch: 'Ajusta el valor al formato solicitado.',
+      tooShort: { one: 'Usa al menos {count} car\u00e1cter.', other: 'Usa al menos {count} caracteres.' },
+      tooLong: { one: 'Usa como m\u00e1ximo {count} car\u00e1cter.', other: 'Usa como m\u00e1ximo {count} caracteres.' },
+      rangeUnderflow: 'Introduce un valor igual o superior a {min}.',
+      rangeOverflow: 'Introduce un valor igual o inferior a {max}.',
+      fieldMismatch: 'Este campo no coincide.',
+      fieldInvalid: 'Revisa este campo.',
+      draftRestorePrompt: 'Tienes un mensaje sin enviar del {time}. \u00bfQuieres recuperarlo?',
+      draftRestoreAction: 'Recuperar',
+      draftDiscardAction: 'Descartar',
+      queuedMessage: 'No hemos podido conectar con nuestro servidor. Tu mensaje se ha guardado y se enviar\u00e1 autom\u00e1ticamente.',
+      navToggleLabel: 'Mostrar u ocultar la navegaci\u00f3n',
+      stepLabel: 'Paso {step}',
+      stepGoTo: 'Ir al paso {step}',
+      stepPrev: 'Paso anterior',
+      stepNext: 'Paso siguiente',
+      stepStatus: 'Paso {step} de {total}',
+      stepStatusTitled: 'Paso {step} de {total}: {title}',
+      autoplayOn: 'Avance autom\u00e1tico: s\u00ed',
+      autoplayOff: 'Avance autom\u00e1tico: no',
+      consentTitle: 'Tus opciones de privacidad',
+      consentText: 'Usamos el almacenamiento necesario para que el sitio funcione. Con tu permiso tambi\u00e9n recordamos los borradores de formularios sin enviar (preferencias) y medimos c\u00f3mo se usa el sitio (anal\u00edtica).',
+      consentAcceptAll: 'Aceptar todo',
+      consentRejectAll: 'Rechazar lo no esencial',
+      consentCustomize: 'Personalizar',
+      consentDialogTitle: 'Preferencias de privacidad',
+      consentSave: 'Guardar selecci\u00f3n',
+      consentClose: 'Cerrar',
+      consentNecessary: 'Necesarias',
+      consentNecessaryHint: 'Imprescindibles para que el sitio funcione, como la protecci\u00f3n contra spam y el env\u00edo de tus mensajes. Siempre activas.',
+      consentPreferences: 'Preferencias',
+      consentPreferencesHint: 'Recuerda en este dispositivo los borradores de formularios sin enviar y tu tema.',
+      consentAnalytics: 'Anal\u00edtica',
+      consentAnalyticsHint: 'Eventos de uso, como las p\u00e1ginas y los pasos que se ven, que nos ayudan a mejorar el sitio.',
+      themeToggle: 'Tema: {mode}',
+      themeLight: 'Claro',
+      themeDark: 'Oscuro',
+      themeSystem: 'Sistema'
+    },
+    de: {
+      nameRequired: 'Bitte geben Sie Ihren Namen ein.',
+      emailRequired: 'Bitte geben Sie Ihre E-Mail-Adresse ein.',
+      emailInvalid: 'Bitte geben Sie eine g\u00fcltige E-Mail-Adresse ein.',
+      messageRequired: 'Bitte geben Sie eine Nachricht ein.',
+      successMessage: 'Vielen Dank! Ihre Nachricht ist eingegangen (Demo).',
+      sending: 'Ihre Nachricht wird gesendet...',
+      submitError: 'Ihre Nachricht konnte leider nicht gesendet werden. Bitte versuchen Sie es erneut.',
+      submitTimeout: 'Der Server hat zu lange nicht geantwortet. Bitte versuchen Sie es erneut.',
+      fieldRequired: 'Bitte f\u00fcllen Sie dieses Feld aus.',
+      urlInvalid: 'Bitte geben Sie eine g\u00fcltige URL ein.',
+      numberInvalid: 'Bitte geben Sie eine Zahl ein.',
+      patternMismatch: 'Bitte halten Sie sich an das vorgegebene Format.',
+      tooShort: { one: 'Bitte verwenden Sie mindestens {count} Zeichen.', other: 'Bitte verwenden Sie mindestens {count} Zeichen.' },
+      tooLong: { one: 'Bitte verwenden Sie h\u00f6chstens {count} Zeichen.', other: 'Bitte verwenden Sie h\u00f6chstens {count} Zeichen.' },
+      rangeUnderflow: 'Bitte geben Sie einen Wert von mindestens {min} ein.',
+      rangeOverflow: 'Bitte geben Sie einen Wert von h\u00f6chstens {max} ein.',
+      fieldMismatch: 'Dieses Feld stimmt nicht \u00fcberein.',
+      fieldInvalid: 'Bitte \u00fcberpr\u00fcfen Sie dieses Feld.',
+      draftRestorePrompt: 'Sie haben eine nicht gesendete Nachricht vom {time}. M\u00f6chten Sie sie wiederherstellen?',
+      draftRestoreAction: 'Wiederherstellen',
+      draftDiscardAction: 'Verwerfen',
+      queuedMessage: 'Unser Server ist gerade nicht erreichbar. Ihre Nachricht wurde gespeichert und wird automatisch gesendet.',
+      navToggleLabel: 'Navigation ein- oder ausblenden',
+      stepLabel: 'Schritt {step}',
+      stepGoTo: 'Zu Schritt {step}',
+      stepPrev: 'Vorheriger Schritt',
+      stepNext: 'N\u00e4chster Schritt',
+      stepStatus: 'Schritt {step} von {total}',
+      stepStatusTitled: 'Schritt {step} von {total}: {title}',
+      autoplayOn: 'Automatisch weiter: an',
+      autoplayOff: 'Automatisch weiter: aus',
+      consentTitle: 'Ihre Datenschutzeinstellungen',
+      consentText: 'Wir nutzen notwendigen Speicher, damit diese Website funktioniert. Mit Ihrer Zustimmung merken wir uns au\u00dferdem nicht gesendete Formularentw\u00fcrfe (Pr\u00e4ferenzen) und messen, wie die Website genutzt wird (Analyse).',
+      consentAcceptAll: 'Alle akzeptieren',
+      consentRejectAll: 'Nicht notwendige ablehnen',
+      consentCustomize: 'Anpassen',
+      consentDialogTitle: 'Datenschutz-Einstellungen',
+      consentSave: 'Auswahl speichern',
+      consentClose: 'Schlie\u00dfen',
+      consentNecessary: 'Notwendig',
+      consentNecessaryHint: 'F\u00fcr den Betrieb der Website erforderlich, etwa Spamschutz und das Senden Ihrer Nachrichten. Immer aktiv.',
+      consentPreferences: 'Pr\u00e4ferenzen',
+      consentPreferencesHint: 'Speichert nicht gesendete Formularentw\u00fcrfe und Ihr Farbschema auf diesem Ger\u00e4t.',
+      consentAnalytics: 'Analyse',
+      consentAnalyticsHint: 'Nutzungsereignisse, etwa welche Seiten und Schritte angesehen werden, die uns helfen, die Website zu verbessern.',
+      themeToggle: 'Farbschema: {mode}',
+      themeLight: 'Hell',
+      themeDark: 'Dunkel',
+      themeSystem: 'System'
     }
   };
 
   /**
-   * Simple logger with levels.
+   * Utility: send JSON that should survive the page unloading (navigator.sendBeacon, else a
+   * keepalive fetch). Returns a Promise that rejects when it could not be handed off.
+   */
+  function postBeacon(url, data) {
+    const body = JSON.stringify(data);
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return Promise.resolve();
+    } catch (e) {
+      // fall through to fetch
+    }
+    // beacon unsupported or its queue full: a keepalive request also outlives the page
+    if (typeof fetch !== 'function') return Promise.reject(new Error('Neither sendBeacon nor fetch is available'));
+    return fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).then(() => undefined);
+  }
+
+  /**
+   * Logger with levels, namespaces and transports.
+   *
+   * Logger.ns(name) returns a logger for 'SiteApp:<name>' (nav, form, demo; plugins get their
+   * own name) whose level is logger.levels[name], falling back to logger.level. An entry that
+   * passes its namespace's level, { time, level, ns, message, [stack], [count] }, goes to every
+   * transport in logger.transports:
+   * - 'console' - the browser console (skips uncaught errors, which the browser prints already)
+   * - 'ring'    - the last logger.ringSize entries, kept for SiteApp.getDiagnostics()
+   * - 'beacon'  - entries at logger.beaconLevel or above, batched and posted to logger.endpoint
+   * - a function (entry, args) or { level, write(entry, args) } for anything else
    */
   const Logger = (function () {
     const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: 99 };
     let currentLevel = levels[DEFAULTS.logger.level] || levels.info;
+    let nsLevels = {}; // namespace -> level number
+    let transports = [];
+    let ring = [];
+    let ringSize = DEFAULTS.logger.ringSize;
+    let beacon = null; // { endpoint, level, queue, timer }
+    const children = {};
+
+    // Keep entries plain and short so they can be pasted or posted as JSON
+    function describe(value) {
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      if (value && value.nodeType === 1) return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+      if (value === null || typeof value !== 'object') return String(value);
+      try {
+        const json = JSON.stringify(value);
+        return json.length > 300 ? `${json.slice(0, 300)}...` : json;
+      } catch (e) {
+        return Object.prototype.toString.call(value);
+      }
+    }
+
+    function toEntry(levelName, ns, args) {
+      const entry = { time: new Date().toISOString(), level: levelName, ns, message: args.map(describe).join(' ') };
+      const error = args.find(a => a instanceof Error);
+      if (error && error.stack) entry.stack = String(error.stack);
+      return entry;
+    }
+
+    function writeConsole(entry, args) {
+      if (entry.captured) return;
+      const fn = console[entry.level] || console.log;
+      const prefix = `[${entry.ns}:${entry.level}]`;
+      try {
+        fn.call(console, prefix, ...args);
+      } catch (e) {
+        console.log(prefix, ...args);
+      }
+    }
+
+    function writeRing(entry) {
+      ring.push(entry);
+      if (ring.length > ringSize) ring.splice(0, ring.length - ringSize);
+    }
+
+    function flush() {
+      if (!beacon) return 0;
+      clearTimeout(beacon.timer);
+      beacon.timer = null;
+      const batch = beacon.queue;
+      if (!batch.length) return 0;
+      beacon.queue = [];
+      // failures are dropped quietly: logging them would feed the same transport
+      postBeacon(beacon.endpoint, { page: location.href, entries: batch }).catch(() => {});
+      return batch.length;
+    }
+
+    function writeBeacon(entry) {
+      beacon.queue.push(entry);
+      if (beacon.queue.length >= beacon.batchSize) flush();
+      else if (!beacon.timer) beacon.timer = setTimeout(flush, beacon.flushMs);
+    }
+
+    const BUILT_IN = {
+      console: () => ({ level: 0, write: writeConsole }),
+      ring: () => ({ level: 0, write: writeRing }),
+      beacon: o => {
+        if (!o.endpoint) {
+          console.warn('[SiteApp:warn] The beacon log transport needs logger.endpoint; skipping it');
+          return null;
+        }
+        beacon = { endpoint: o.endpoint, batchSize: o.beaconBatchSize, flushMs: o.beaconFlushMs, queue: [], timer: null };
+        return { level: levels[o.beaconLevel] || levels.error, write: writeBeacon };
+      },
+    };
+
+    function toTransport(spec, o) {
+      if (typeof spec === 'function') return { level: 0, write: spec };
+      if (spec && typeof spec.write === 'function') return { level: levels[spec.level] || 0, write: spec.write.bind(spec) };
+      if (BUILT_IN[spec]) return BUILT_IN[spec](o);
+      console.warn('[SiteApp:warn] Unknown log transport', spec);
+      return null;
+    }
+
+    /**
+     * Apply the `logger` option: { level, levels, transports, ringSize, endpoint, beaconLevel, ... }.
+     * Entries already in the ring buffer are kept.
+     */
+    function configure(o) {
+      o = Object.assign({}, DEFAULTS.logger, o);
+      flush();
+      beacon = null;
+      setLevel(o.level);
+      nsLevels = {};
+      Object.keys(o.levels || {}).forEach(name => {
+        if (levels[o.levels[name]] !== undefined) nsLevels[name] = levels[o.levels[name]];
+      });
+      ringSize = Math.max(0, o.ringSize | 0);
+      transports = (Array.isArray(o.transports) ? o.transports : [o.transports]).map(spec => toTransport(spec, o)).filter(Boolean);
+    }
 
     function setLevel(name) {
       if (levels[name] !== undefined) currentLevel = levels[name];
     }
-    function _log(levelName, ...args) {
-      if (levels[levelName] >= currentLevel) {
-        const fn = console[levelName] || console.log;
+
+    function enabled(levelName, name) {
+      const threshold = name && nsLevels[name] !== undefined ? nsLevels[name] : currentLevel;
+      return levels[levelName] >= threshold;
+    }
+
+    // `extra` is merged into the entry (e.g. { captured: true } for uncaught errors)
+    function write(levelName, name, args, extra) {
+      if (!enabled(levelName, name)) return null;
+      const entry = Object.assign(toEntry(levelName, name ? `SiteApp:${name}` : 'SiteApp', args), extra);
+      transports.forEach(t => {
+        if (levels[levelName] < t.level) return;
         try {
-          fn.call(console, `[SiteApp:${levelName}]`, ...args);
+          t.write(entry, args);
         } catch (e) {
-          console.log(`[SiteApp:${levelName}]`, ...args);
+          // a broken transport must not break logging for the others
         }
+      });
+      return entry;
+    }
+
+    function make(name) {
+      return {
+        debug: (...a) => { write('debug', name, a); },
+        info: (...a) => { write('info', name, a); },
+        warn: (...a) => { write('warn', name, a); },
+        error: (...a) => { write('error', name, a); },
+      };
+    }
+
+    configure(DEFAULTS.logger);
+
+    return Object.assign(make(''), {
+      setLevel,
+      configure,
+      write,
+      flush,
+      /** Logger for 'SiteApp:<name>', with its own level (logger.levels[name]) */
+      ns: name => children[name] || (children[name] = make(name)),
+      entries: () => ring.slice(),
+    });
+  })();
+
+  // Module loggers; set their levels with logger.levels, e.g. { form: 'debug', nav: 'silent' }
+  const navLog = Logger.ns('nav');
+  const formLog = Logger.ns('form');
+  const demoLog = Logger.ns('demo');
+
+  /**
+   * Locale selection, message lookup and live re-rendering.
+   * Text rendered through I18n.bind() is re-rendered by I18n.setLocale(); writing the element
+   * with setText() (e.g. a server-provided message) detaches it again.
+   */
+  const I18n = (function () {
+    const bundles = {};
+    const plurals = {};
+    const live = new Map(); // element -> { '' (text) | attribute name: render() }
+    let current = null; // { tag, chain: [bundle names, most specific first] }
+
+    function reset() {
+      Object.keys(bundles).forEach(id => { delete bundles[id]; });
+      addBundles(LOCALES);
+    }
+
+    function addBundles(map) {
+      Object.keys(map || {}).forEach(name => {
+        const bundle = map[name];
+        if (!bundle || typeof bundle !== 'object') return;
+        const id = name.toLowerCase();
+        bundles[id] = Object.assign({}, bundles[id], bundle);
+      });
+    }
+    addBundles(LOCALES);
+
+    // 'de-AT' -> ['de-at', 'de', 'en'], keeping only bundles that exist
+    function resolve(tag) {
+      const clean = String(tag || '').trim().replace(/_/g, '-') || 'en';
+      const parts = clean.toLowerCase().split('-');
+      const chain = [];
+      for (let i = parts.length; i > 0; i--) {
+        const id = parts.slice(0, i).join('-');
+        if (bundles[id] && chain.indexOf(id) === -1) chain.push(id);
+      }
+      if (chain.indexOf('en') === -1) chain.push('en');
+      return { tag: clean, chain };
+    }
+
+    function pageLang() {
+      try {
+        return document.documentElement.getAttribute('lang') || '';
+      } catch (_) {
+        return '';
+      }
+    }
+
+    function ensure() {
+      if (!current) current = resolve(pageLang());
+      return current;
+    }
+
+    function pluralCategory(count) {
+      const tag = ensure().tag;
+      try {
+        if (!plurals[tag]) plurals[tag] = new Intl.PluralRules(tag);
+        return plurals[tag].select(count);
+      } catch (e) {
+        return Number(count) === 1 ? 'one' : 'other';
+      }
+    }
+
+    /** Raw template for `key`: overrides first, then the locale chain. */
+    function lookup(key, overrides) {
+      if (overrides && overrides[key] !== undefined && overrides[key] !== null) return overrides[key];
+      const chain = ensure().chain;
+      for (let i = 0; i < chain.length; i++) {
+        const value = bundles[chain[i]][key];
+        if (value !== undefined && value !== null) return value;
+      }
+      return undefined;
+    }
+
+    /** Interpolate a template, picking the plural form from params.count when it has several. */
+    function format(template, params) {
+      if (template && typeof template === 'object') {
+        const count = params && params.count !== undefined ? params.count : 0;
+        template = template[pluralCategory(count)] || template.other || '';
       }
+      return formatMessage(template, params);
+    }
+
+    function t(key, params, overrides) {
+      const template = lookup(key, overrides);
+      return template === undefined ? key : format(template, params);
+    }
+
+    function render(el, slot, text) {
+      if (slot) el.setAttribute(slot, text);
+      else el.textContent = text;
+    }
+
+    /** Render `fn()` into el's text (or `attr`) now and again after every locale change. */
+    function bind(el, fn, attr) {
+      if (!el) return;
+      const slot = attr || '';
+      render(el, slot, fn());
+      const entry = live.get(el) || {};
+      entry[slot] = fn;
+      live.set(el, entry);
+    }
+
+    function unbindText(el) {
+      const entry = live.get(el);
+      if (!entry) return;
+      delete entry[''];
+      if (!Object.keys(entry).length) live.delete(el);
+    }
+
+    /** Forget bindings for `root` and everything inside it (on teardown). */
+    function release(root) {
+      live.forEach((entry, el) => {
+        if (el === root || (root && root.contains && root.contains(el))) live.delete(el);
+      });
+    }
+
+    function refresh() {
+      live.forEach((entry, el) => {
+        if (!el.isConnected) {
+          live.delete(el);
+          return;
+        }
+        Object.keys(entry).forEach(slot => {
+          try {
+            render(el, slot, entry[slot]());
+          } catch (e) {
+            Logger.warn('I18n: could not re-render text', e);
+          }
+        });
+      });
+    }
+
+    /** Switch locale (empty: follow <html lang>) and re-render bound text. Returns the tag in use. */
+    function setLocale(tag) {
+      current = resolve(tag || pageLang());
+      refresh();
+      Logger.debug('Locale set to', current.tag, current.chain);
+      return current.tag;
     }
+
     return {
-      setLevel,
-      debug: (...a) => _log('debug', ...a),
-      info: (...a) => _log('info', ...a),
-      warn: (...a) => _log('warn', ...a),
-      error: (...a) => _log('error', ...a),
+      reset,
+      addBundles,
+      setLocale,
+      getLocale: () => ensure().tag,
+      lookup,
+      format,
+      t,
+      bind,
+      unbindText,
+      release,
     };
   })();
 
   /**
-   * Utility: simple debounce
+   * Event bus, one per app. emit() dispatches a bubbling `siteapp:<name>` CustomEvent on `target`
+   * (default: the app's root, i.e. the document for SiteApp), then calls the app's on()
+   * subscribers with (detail, event). `before-*` events are
+   * cancelable: either side may call event.preventDefault() to veto, and may augment the detail
+   * (e.g. detail.payload of before-submit) since the same object is passed along.
+   */
+  function createEventBus(defaultTarget) {
+    const PREFIX = 'siteapp:';
+    const subscribers = new Map(); // name -> [{ fn, once }]
+
+    function normalize(name) {
+      const n = String(name || '');
+      return n.indexOf(PREFIX) === 0 ? n.slice(PREFIX.length) : n;
+    }
+
+    function on(name, fn, once) {
+      if (typeof fn !== 'function') throw new TypeError('SiteApp.on expects a function');
+      const key = normalize(name);
+      const list = subscribers.get(key) || [];
+      list.push({ fn, once: !!once });
+      subscribers.set(key, list);
+      return () => off(key, fn);
+    }
+
+    function off(name, fn) {
+      const key = normalize(name);
+      if (!fn) {
+        subscribers.delete(key);
+        return;
+      }
+      const list = (subscribers.get(key) || []).filter(s => s.fn !== fn);
+      if (list.length) subscribers.set(key, list);
+      else subscribers.delete(key);
+    }
+
+    function createEvent(type, detail, cancelable) {
+      try {
+        return new CustomEvent(type, { bubbles: true, cancelable, detail });
+      } catch (e) {
+        // minimal stand-in where CustomEvent cannot be constructed
+        return {
+          type,
+          detail,
+          cancelable,
+          defaultPrevented: false,
+          preventDefault() { if (cancelable) this.defaultPrevented = true; },
+        };
+      }
+    }
+
+    /**
+     * @param {string} name event name without prefix, e.g. 'form-submitted'
+     * @param {Object} [detail]
+     * @param {EventTarget} [target]
+     * @returns {boolean} false when a cancelable event was vetoed
+     */
+    function emit(name, detail, target) {
+      const cancelable = name.indexOf('before-') === 0;
+      const event = createEvent(PREFIX + name, detail || {}, cancelable);
+      const el = target || defaultTarget || null;
+      if (el && typeof el.dispatchEvent === 'function' && typeof event.stopPropagation === 'function') {
+        try {
+          el.dispatchEvent(event);
+        } catch (e) {
+          Logger.debug(`Could not dispatch ${event.type}`, e);
+        }
+      }
+      (subscribers.get(name) || []).slice().forEach(s => {
+        if (s.once) off(name, s.fn);
+        try {
+          s.fn(event.detail, event);
+        } catch (e) {
+          Logger.error(`Error in "${name}" handler`, e);
+        }
+      });
+      return !(cancelable && event.defaultPrevented);
+    }
+
+    return {
+      on: (name, fn) => on(name, fn, false),
+      once: (name, fn) => on(name, fn, true),
+      off,
+      emit,
+    };
+  }
+
+  /**
+   * Utility: simple debounce (the returned function has .cancel())
    * @param {Function} fn
    * @param {number} wait
    */
   function debounce(fn, wait) {
     let t = null;
-    return function debounced(...args) {
+    function debounced(...args) {
       clearTimeout(t);
       t = setTimeout(() => fn.apply(this, args), wait);
+    }
+    debounced.cancel = () => {
+      clearTimeout(t);
+      t = null;
     };
+    return debounced;
   }
 
   /**
@@ -123,9 +818,157 @@
    */
   function setText(el, text) {
     if (!el) return;
+    I18n.unbindText(el);
     el.textContent = text;
   }
 
+  /**
+   * Mutation journal: makes DOM changes through methods that remember what each attribute,
+   * class token, inline style property, text and node was before the first change, so revert()
+   * puts the page back exactly as it was. Only what the journal changed is restored; changes by
+   * other code in the meantime are kept. Nodes the journal inserted are removed and nodes it
+   * detached are put back. Each module, form and stepper keeps its own journal and reverts it
+   * when torn down, so SiteApp can be mounted and unmounted any number of times without drift.
+   */
+  function createMutationJournal() {
+    let undo = []; // restore functions, run newest first
+    let seen = new Map(); // node -> Set of recorded keys ('attr:name', 'class:name', 'style:prop', 'text')
+    let created = new WeakSet(); // nodes the journal inserted: removed wholesale, not restored piecemeal
+
+    // snapshot() reads the current state and returns the function that restores it
+    function once(node, key, snapshot) {
+      if (!node || created.has(node)) return;
+      const keys = seen.get(node) || new Set();
+      if (keys.has(key)) return;
+      keys.add(key);
+      seen.set(node, keys);
+      undo.push(snapshot());
+    }
+
+    function keepAttr(el, name) {
+      once(el, `attr:${name}`, () => {
+        const prev = el.getAttribute(name);
+        return () => {
+          if (prev === null) el.removeAttribute(name);
+          else el.setAttribute(name, prev);
+        };
+      });
+    }
+
+    // the original child nodes come back on revert
+    function keepText(el) {
+      once(el, 'text', () => {
+        const nodes = Array.from(el.childNodes);
+        return () => {
+          el.textContent = '';
+          nodes.forEach(n => el.appendChild(n));
+        };
+      });
+    }
+
+    /** Set attribute `name`; null, undefined or false removes it, true sets it empty. */
+    function setAttr(el, name, value) {
+      if (!el) return;
+      keepAttr(el, name);
+      if (value === null || value === undefined || value === false) el.removeAttribute(name);
+      else el.setAttribute(name, value === true ? '' : String(value));
+    }
+
+    function toggleClass(el, name, on) {
+      if (!el) return;
+      once(el, `class:${name}`, () => {
+        const had = el.classList.contains(name);
+        const attr = el.getAttribute('class');
+        return () => {
+          el.classList.toggle(name, had);
+          if (attr === null && el.getAttribute('class') === '') el.removeAttribute('class');
+        };
+      });
+      el.classList.toggle(name, on);
+    }
+
+    /** Set inline style property `prop` (CSS name, e.g. 'padding-right'); '' clears it. */
+    function setStyle(el, prop, value) {
+      if (!el) return;
+      once(el, `style:${prop}`, () => {
+        const prev = el.style.getPropertyValue(prop);
+        const priority = el.style.getPropertyPriority(prop);
+        const attr = el.getAttribute('style');
+        return () => {
+          el.style.setProperty(prop, prev, priority);
+          if (attr === null && !el.style.cssText) el.removeAttribute('style');
+        };
+      });
+      el.style.setProperty(prop, value);
+    }
+
+    /** Replace an existing element's content with text (like setText). */
+    function setText(el, text) {
+      if (!el) return;
+      keepText(el);
+      I18n.unbindText(el);
+      el.textContent = text;
+    }
+
+    /**
+     * Remember attribute `name` (or, without a name, the text) as it is now, before something
+     * else changes it, e.g. I18n.bind().
+     */
+    function record(el, name) {
+      if (!el) return;
+      if (name) keepAttr(el, name);
+      else keepText(el);
+    }
+
+    /** Insert a node SiteApp created into parent (before `before`, default: at the end). */
+    function insert(node, parent, before) {
+      parent.insertBefore(node, before === undefined ? null : before);
+      if (created.has(node)) return node;
+      created.add(node);
+      undo.push(() => {
+        if (node.parentNode) node.parentNode.removeChild(node);
+      });
+      return node;
+    }
+
+    /** Take an existing node out of the page; revert() puts it back where it was. */
+    function detach(node) {
+      const parent = node.parentNode;
+      if (!parent) return node;
+      const next = node.nextSibling;
+      parent.removeChild(node);
+      if (created.has(node)) return node;
+      undo.push(() => parent.insertBefore(node, next && next.parentNode === parent ? next : null));
+      return node;
+    }
+
+    function revert() {
+      const steps = undo;
+      undo = [];
+      seen = new Map();
+      created = new WeakSet();
+      for (let i = steps.length - 1; i >= 0; i--) {
+        try {
+          steps[i]();
+        } catch (e) {
+          Logger.warn('Could not undo a DOM change', e);
+        }
+      }
+    }
+
+    return {
+      setAttr,
+      toggleClass,
+      setStyle,
+      setText,
+      record,
+      insert,
+      detach,
+      revert,
+      get size() { return undo.length; },
+    };
+  }
+
   /**
    * Utility: determine scroll offset preferring CSS variable --scroll-offset if present.
    * Returns a number of pixels.
@@ -208,399 +1051,4374 @@
   }
 
   /**
-   * SiteApp module
+   * Minimal template interpolation: formatMessage('At least {min}', { min: 3 }).
+   * Unknown placeholders are left as-is.
    */
-  const SiteApp = (function () {
-    let opts = Object.assign({}, DEFAULTS);
-    let state = {
-      initialized: false,
-      handlers: [],
-      formDraft: null,
-    };
+  function formatMessage(template, params) {
+    if (typeof template !== 'string') return '';
+    return template.replace(/\{(\w+)\}/g, (m, key) => (params && params[key] !== undefined ? String(params[key]) : m));
+  }
 
-    /**
-     * Runtime input validation for init options
-     * @param {Object} supplied
-     */
-    function validateOptions(supplied) {
-      if (!supplied) return;
-      if (typeof supplied !== 'object') {
-        throw new TypeError('SiteApp.init expects an options object');
-      }
-      if (supplied.logger && supplied.logger.level && typeof supplied.logger.level !== 'string') {
-        throw new TypeError('logger.level must be a string');
+  /**
+   * Declarative configuration
+   *
+   * Pages configure SiteApp without an inline init() call, from (lowest to highest precedence):
+   * 1. a `<script type="application/json" id="siteapp-config">` block holding an options object
+   * 2. data-siteapp-* attributes on <html>, then on <body>: the rest of the name is the option key
+   *    in kebab-case (data-siteapp-smooth-scroll-history="replace" -> smoothScrollHistory). Values
+   *    that parse as JSON (true, 250, {"autoplayMs":4000}) are used as such, anything else as text.
+   * Options passed to init() win over both. data-siteapp-form belongs to forms and is skipped here.
+   * An app made with SiteApp.create() reads a #siteapp-config block inside its root and the
+   * attributes of its root element (or of the shadow host) instead.
+   *
+   * While script.js is loaded, <html data-siteapp> is "loaded", and "enhanced" once init() has
+   * run. Inline fallbacks check for the attribute on DOMContentLoaded (deferred scripts have run
+   * by then) and stand down when it is present.
+   */
+  const PAGE_CONFIG_ID = 'siteapp-config';
+  const PAGE_ATTR_PREFIX = 'data-siteapp-';
+  const PAGE_ATTR_SKIPPED = ['form'];
+
+  function parseAttrValue(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+
+  function readPageConfig(root) {
+    const out = {};
+    const scoped = root && root !== document;
+    const block = scoped ? root.querySelector(`#${PAGE_CONFIG_ID}`) : document.getElementById(PAGE_CONFIG_ID);
+    if (block && block.textContent.trim()) {
+      try {
+        const parsed = JSON.parse(block.textContent);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) Object.assign(out, parsed);
+        else Logger.warn(`#${PAGE_CONFIG_ID} must hold a JSON object; ignoring it`);
+      } catch (e) {
+        Logger.warn(`#${PAGE_CONFIG_ID} is not valid JSON; ignoring it`, e);
       }
     }
+    const carriers = scoped ? [root.nodeType === 11 ? root.host : root] : [document.documentElement, document.body];
+    carriers.forEach(el => {
+      if (!el || !el.attributes) return;
+      Array.from(el.attributes).forEach(attr => {
+        if (attr.name.indexOf(PAGE_ATTR_PREFIX) !== 0) return;
+        const name = attr.name.slice(PAGE_ATTR_PREFIX.length);
+        if (!name || PAGE_ATTR_SKIPPED.indexOf(name) !== -1) return;
+        out[name.replace(/-([a-z0-9])/g, (m, c) => c.toUpperCase())] = parseAttrValue(attr.value);
+      });
+    });
+    return out;
+  }
 
-    /**
-     * Attach event listeners and save cleanup handles.
-     * Each handler is stored as {target, type, listener, opts}
-     */
-    function addListener(target, type, listener, opts) {
-      if (!target || typeof target.addEventListener !== 'function') return;
-      target.addEventListener(type, listener, opts);
-      state.handlers.push({ target, type, listener, opts });
+  function markPage(value) {
+    try {
+      document.documentElement.setAttribute('data-siteapp', value);
+    } catch (e) {
+      // no document (e.g. a worker); nothing to mark
     }
+  }
+  /**
+   * Option schema
+   *
+   * A spec is a type name ('boolean', 'string', 'number', 'function', 'array', 'object',
+   * 'selector', 'any'), an array of alternatives, or an object:
+   *   { type: 'number', min, max, integer }
+   *   { type: 'string', oneOf: [...] }
+   *   { type: 'object', props: { key: spec } }  known keys; others are warned about
+   *   { type: 'object', values: spec }          a map keyed by the caller (forms, locales)
+   *   { type: 'array', items: spec }
+   * 'selector' is a CSS selector the browser accepts, or '' for "none". Plugin options are
+   * checked against the plugin's `schema`, else against the types of its `defaults`.
+   */
+  const NON_NEGATIVE = { type: 'number', min: 0 };
+  const SPAM_SCHEMA = {
+    type: 'object',
+    props: {
+      honeypot: 'boolean',
+      honeypotField: 'string',
+      minSubmitMs: NON_NEGATIVE,
+      rateLimit: [{ type: 'object', props: { max: { type: 'number', min: 1, integer: true }, windowMs: NON_NEGATIVE } }, 'null'],
+      rateLimitKey: 'string',
+      challenge: ['function', 'null'],
+    },
+  };
+  const FORM_SCHEMA = {
+    type: 'object',
+    props: {
+      transport: [{ type: 'string', oneOf: ['simulate', 'json', 'urlencoded'] }, 'function'],
+      endpoint: 'string',
+      timeoutMs: NON_NEGATIVE,
+      rules: { type: 'object', values: 'object' },
+      formRules: { type: 'array', items: 'function' },
+      messages: { type: 'object', values: ['string', 'object'] },
+      draftKey: 'string',
+      enableDraft: 'boolean',
+      draftTtlMs: NON_NEGATIVE,
+      draftRestore: { type: 'string', oneOf: ['auto', 'prompt', 'off'] },
+      draftSync: 'boolean',
+      enableOutbox: 'boolean',
+      spam: SPAM_SCHEMA,
+    },
+  };
+  const LOG_LEVEL = { type: 'string', oneOf: ['debug', 'info', 'warn', 'error', 'silent'] };
+  const OPTION_SCHEMA = {
+    enableMobileNav: 'boolean',
+    mobileNavToggleSelector: 'selector',
+    mobileNavContainerSelector: 'selector',
+    mobileNavOpenClass: 'string',
+    mobileNavBreakpoint: 'string',
+    enableSmoothScroll: 'boolean',
+    smoothScrollSelector: 'selector',
+    smoothScrollOffset: NON_NEGATIVE,
+    smoothScrollHistory: { type: 'string', oneOf: ['push', 'replace', 'off'] },
+    enableContactForm: 'boolean',
+    contactFormSelector: 'selector',
+    contactDraftKey: 'string',
+    contactTransport: FORM_SCHEMA.props.transport,
+    contactEndpoint: 'string',
+    contactTimeoutMs: NON_NEGATIVE,
+    enableOutbox: 'boolean',
+    contactOutboxKey: 'string',
+    outboxBackoffMs: NON_NEGATIVE,
+    outboxMaxBackoffMs: NON_NEGATIVE,
+    formSelector: 'selector',
+    formDraftKeyPrefix: 'string',
+    forms: { type: 'object', values: FORM_SCHEMA },
+    contactRules: { type: 'object', values: 'object' },
+    contactFormRules: { type: 'array', items: 'function' },
+    validateOnBlur: 'boolean',
+    formDebounceMs: NON_NEGATIVE,
+    draftTtlMs: NON_NEGATIVE,
+    draftRestore: FORM_SCHEMA.props.draftRestore,
+    draftSync: 'boolean',
+    spam: SPAM_SCHEMA,
+    logger: {
+      type: 'object',
+      props: {
+        level: LOG_LEVEL,
+        levels: { type: 'object', values: LOG_LEVEL },
+        transports: [{ type: 'array', items: ['string', 'function', 'object'] }, 'string', 'function'],
+        ringSize: { type: 'number', min: 0, integer: true },
+        endpoint: 'string',
+        beaconLevel: LOG_LEVEL,
+        beaconBatchSize: { type: 'number', min: 1, integer: true },
+        beaconFlushMs: NON_NEGATIVE,
+        captureErrors: 'boolean',
+        errorSampleRate: { type: 'number', min: 0, max: 1 },
+        maxErrors: { type: 'number', min: 0, integer: true },
+      },
+    },
+    locale: ['string', 'null'],
+    locales: { type: 'object', values: { type: 'object', values: ['string', 'object'] } },
+    messages: { type: 'object', values: ['string', 'object'] },
+  };
 
-    /**
-     * Remove all registered listeners.
-     */
-    function removeAllListeners() {
-      state.handlers.forEach(h => {
-        try {
-          h.target.removeEventListener(h.type, h.listener, h.opts);
-        } catch (e) {
-          // ignore removal errors
-        }
-      });
-      state.handlers = [];
+  function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function describeSpec(spec) {
+    if (Array.isArray(spec)) return spec.map(describeSpec).join(' or ');
+    if (spec === 'selector') return 'a CSS selector';
+    if (spec === 'null' || spec === 'any') return spec;
+    if (typeof spec === 'string') return `a${/^[aeiou]/.test(spec) ? 'n' : ''} ${spec}`;
+    if (spec.oneOf) return spec.oneOf.map(v => JSON.stringify(v)).join(' | ');
+    let text = describeSpec(spec.type);
+    if (spec.integer) text = text.replace('number', 'integer');
+    if (spec.min !== undefined && spec.max !== undefined) return `${text} from ${spec.min} to ${spec.max}`;
+    if (spec.min !== undefined) return `${text} >= ${spec.min}`;
+    if (spec.max !== undefined) return `${text} <= ${spec.max}`;
+    return text;
+  }
+
+  function isSelector(value) {
+    if (typeof value !== 'string') return false;
+    if (!value) return true;
+    try {
+      document.createDocumentFragment().querySelector(value);
+      return true;
+    } catch (e) {
+      return false;
     }
+  }
 
-    /**
-     * Mobile navigation behavior
-     *
-     * Improved selection logic:
-     * - If toggle has aria-controls pointing to an existing element use that first.
-     * - Fallback to an explicit '#mobile-menu' selector if present.
-     * - Otherwise fall back to the configured generic selector.
-     * This avoids binding to the wrong nav and respects pre-existing aria-controls.
-     */
-    function setupMobileNav() {
-      if (!opts.enableMobileNav) return;
-      const toggle = document.querySelector(opts.mobileNavToggleSelector);
-      const body = document.body;
+  // '' when `value` fits `spec`, else what is wrong with it ('type' or 'range')
+  function mismatch(spec, value) {
+    if (Array.isArray(spec)) return spec.some(s => !mismatch(s, value)) ? '' : 'type';
+    const type = typeof spec === 'string' ? spec : spec.type;
+    if (type === 'any') return '';
+    if (type === 'selector') return isSelector(value) ? '' : 'type';
+    if (typeOf(value) !== type && !(type === 'object' && isPlainObject(value))) return 'type';
+    if (typeof spec === 'string') return '';
+    if (spec.oneOf && spec.oneOf.indexOf(value) === -1) return 'range';
+    if (type === 'number') {
+      if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value))) return 'type';
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) return 'range';
+    }
+    return '';
+  }
 
-      if (!toggle) {
-        Logger.debug('Mobile nav: missing toggle', opts.mobileNavToggleSelector);
-        return;
+  // Closest known key for "did you mean" hints (edit distance of at most a third of its length)
+  function closestKey(key, known) {
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+    known.forEach(candidate => {
+      const a = key.toLowerCase();
+      const b = candidate.toLowerCase();
+      let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+          next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        row = next;
+      }
+      if (row[b.length] < bestDistance) {
+        bestDistance = row[b.length];
+        best = candidate;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Check `value` against `spec`, throwing a TypeError (wrong type) or RangeError (out of range)
+   * named after the option's path. Unknown keys of known shapes are passed to `warn`.
+   */
+  function checkOption(spec, value, path, warn) {
+    const problem = mismatch(spec, value);
+    if (problem) {
+      const Err = problem === 'range' ? RangeError : TypeError;
+      throw new Err(`SiteApp option "${path}" must be ${describeSpec(spec)}; got ${typeOf(value) === 'string' ? JSON.stringify(value) : typeOf(value) === 'number' ? value : typeOf(value)}`);
+    }
+    const shape = Array.isArray(spec) ? spec.find(s => !mismatch(s, value)) : spec;
+    if (!shape || typeof shape !== 'object') return;
+    if (shape.props) checkOptions(shape.props, value, `${path}.`, warn);
+    if (shape.values) Object.keys(value).forEach(key => checkOption(shape.values, value[key], `${path}.${key}`, warn));
+    if (shape.items) value.forEach((item, i) => checkOption(shape.items, item, `${path}[${i}]`, warn));
+  }
+
+  function checkOptions(props, value, prefix, warn, extraKeys) {
+    const known = Object.keys(props).concat(extraKeys || []);
+    Object.keys(value).forEach(key => {
+      if (props[key] !== undefined) {
+        if (value[key] !== undefined) checkOption(props[key], value[key], prefix + key, warn);
+      } else if (known.indexOf(key) === -1) {
+        const hint = closestKey(key, known);
+        warn(`Unknown SiteApp option "${prefix}${key}"${hint ? ` (did you mean "${prefix}${hint}"?)` : ''}`);
+      }
+    });
+  }
+
+  // Spec for a plugin's options: its own schema over the types of its defaults
+  function pluginSchema(plugin) {
+    const props = {};
+    Object.keys(plugin.defaults || {}).forEach(key => {
+      const value = plugin.defaults[key];
+      props[key] = value === null || value === undefined ? 'any' : typeOf(value);
+    });
+    return Object.assign(props, plugin.schema);
+  }
+
+  /**
+   * Deep merge for options: plain objects are merged key by key, anything else (arrays,
+   * functions, elements) replaces what was there. Neither argument is modified.
+   */
+  function mergeOptions(base, patch) {
+    const out = Object.assign({}, base);
+    Object.keys(patch || {}).forEach(key => {
+      const value = patch[key];
+      if (value === undefined) return;
+      out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeOptions(out[key], value) : value;
+    });
+    return out;
+  }
+
+
+  /**
+   * Validation engine
+   *
+   * A field's rule object is assembled from (lowest to highest precedence):
+   * 1. native constraints: required, type=email|url|number, pattern, minlength, maxlength, min, max
+   * 2. data-validate-* attributes: data-validate-required, -type, -pattern, -minlength, -maxlength,
+   *    -min, -max, -match="otherField", and per-rule copy via data-validate-message-<rule>
+   * 3. the `contactRules[fieldName]` init option, which may also supply an (async) `validate` function
+   *
+   * Rule keys: required, type, pattern, minLength, maxLength, min, max, match, validate, messages.
+   * Error text is looked up (form message overrides, then the active locale bundle) as
+   * `<fieldName><Rule>` (e.g. nameRequired), then as the generic key from VALIDATION_MESSAGE_KEYS
+   * (e.g. tooShort).
+   */
+  const VALIDATION_MESSAGE_KEYS = {
+    required: 'fieldRequired',
+    email: 'emailInvalid',
+    url: 'urlInvalid',
+    number: 'numberInvalid',
+    pattern: 'patternMismatch',
+    minLength: 'tooShort',
+    maxLength: 'tooLong',
+    min: 'rangeUnderflow',
+    max: 'rangeOverflow',
+    match: 'fieldMismatch',
+    validate: 'fieldInvalid',
+  };
+
+  // Existing markup adopted by enhanced forms instead of creating .form-error / .form-success
+  const ERROR_EL_SELECTOR = '.form-error, .field-error, [data-field-error]';
+  const STATUS_EL_SELECTOR = '.form-success, .form-status, [data-form-status]';
+
+  const SKIPPED_FIELD_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'fieldset', 'output'];
+
+  function isValidatableField(el) {
+    if (!el || !el.tagName || el.disabled) return false;
+    if (!(el.name || el.id)) return false;
+    if (SKIPPED_FIELD_TYPES.indexOf((el.type || '').toLowerCase()) !== -1) return false;
+    if (el.dataset && el.dataset.validate === 'false') return false;
+    return /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName);
+  }
+
+  function fieldKey(el) {
+    return el.name || el.id;
+  }
+
+  function fieldValue(el) {
+    const type = (el.type || '').toLowerCase();
+    if (type === 'checkbox' || type === 'radio') {
+      if (el.name && el.form) {
+        const checked = Array.from(el.form.elements).filter(o => o.name === el.name && o.checked);
+        return checked.length ? checked.map(o => o.value).join(',') : '';
+      }
+      return el.checked ? el.value : '';
+    }
+    return typeof el.value === 'string' ? el.value.trim() : '';
+  }
+
+  function toNumber(v) {
+    if (v === null || v === undefined || v === '') return undefined;
+    const n = Number(v);
+    return Number.isNaN(n) ? undefined : n;
+  }
+
+  /**
+   * Read native constraint and data-validate-* attributes into a rule object.
+   * @param {HTMLElement} el
+   */
+  function readFieldRules(el) {
+    const attr = name => (el.hasAttribute(name) ? el.getAttribute(name) : null);
+    const rules = { messages: {} };
+    const nativeType = (attr('type') || '').toLowerCase();
+    if (el.hasAttribute('required') || el.hasAttribute('data-validate-required')) rules.required = true;
+    const type = attr('data-validate-type') || (['email', 'url', 'number'].indexOf(nativeType) !== -1 ? nativeType : null);
+    if (type) rules.type = type;
+    const pattern = attr('data-validate-pattern') || attr('pattern');
+    if (pattern) rules.pattern = pattern;
+    const minLength = toNumber(attr('data-validate-minlength') || attr('minlength'));
+    if (minLength !== undefined) rules.minLength = minLength;
+    const maxLength = toNumber(attr('data-validate-maxlength') || attr('maxlength'));
+    if (maxLength !== undefined) rules.maxLength = maxLength;
+    const min = toNumber(attr('data-validate-min') || attr('min'));
+    if (min !== undefined) rules.min = min;
+    const max = toNumber(attr('data-validate-max') || attr('max'));
+    if (max !== undefined) rules.max = max;
+    const match = attr('data-validate-match');
+    if (match) rules.match = match;
+    Object.keys(el.dataset || {}).forEach(k => {
+      const m = /^validateMessage(\w+)$/.exec(k);
+      if (m) rules.messages[m[1].charAt(0).toLowerCase() + m[1].slice(1)] = el.dataset[k];
+    });
+    return rules;
+  }
+
+  function compilePattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    // native pattern semantics: the whole value must match
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u');
+    } catch (e) {
+      try {
+        return new RegExp(`^(?:${pattern})$`);
+      } catch (_) {
+        formLog.warn('Ignoring invalid validation pattern', pattern);
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Run the synchronous rules for one field. Returns the failed rule as
+   * { rule, params } or null; the `validate` function is handled by the caller.
+   */
+  function checkFieldRules(value, rules, values) {
+    if (!value) return rules.required ? { rule: 'required', params: {} } : null;
+    if (rules.type === 'email' && !isValidEmail(value)) return { rule: 'email', params: {} };
+    if (rules.type === 'url') {
+      try {
+        new URL(value);
+      } catch (e) {
+        return { rule: 'url', params: {} };
+      }
+    }
+    const num = toNumber(value);
+    if (rules.type === 'number' && num === undefined) return { rule: 'number', params: {} };
+    if (rules.pattern) {
+      const re = compilePattern(rules.pattern);
+      if (re && !re.test(value)) return { rule: 'pattern', params: { pattern: String(rules.pattern) } };
+    }
+    if (rules.minLength !== undefined && value.length < rules.minLength) return { rule: 'minLength', params: { minLength: rules.minLength, count: rules.minLength, length: value.length } };
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) return { rule: 'maxLength', params: { maxLength: rules.maxLength, count: rules.maxLength, length: value.length } };
+    if (rules.min !== undefined && num !== undefined && num < rules.min) return { rule: 'min', params: { min: rules.min } };
+    if (rules.max !== undefined && num !== undefined && num > rules.max) return { rule: 'max', params: { max: rules.max } };
+    if (rules.match && values && (values[rules.match] || '') !== value) return { rule: 'match', params: { match: rules.match } };
+    return null;
+  }
+
+  /**
+   * Interpret what a custom validator returned: true/undefined/null = valid,
+   * false = generic failure, string = message, { message } = message.
+   * @returns {(string|boolean|null)} null when valid, true for "use the default message"
+   */
+  function validatorOutcome(out) {
+    if (out === undefined || out === null || out === true) return null;
+    if (out === false) return true;
+    if (typeof out === 'string') return out;
+    if (typeof out === 'object' && out.message) return String(out.message);
+    return null;
+  }
+
+  /**
+   * Combine a list of results that may contain Promises; returns the plain array when
+   * everything is synchronous so callers can react immediately.
+   */
+  function settleMaybeAsync(items) {
+    const isThenable = v => v && typeof v.then === 'function';
+    if (!items.some(isThenable)) return items;
+    return Promise.all(items);
+  }
+
+  /**
+   * Drafts are stored as { v: DRAFT_SCHEMA_VERSION, fields: { fieldName: value }, ts }.
+   * Older record shapes are upgraded one version at a time by DRAFT_MIGRATIONS[v].
+   */
+  const DRAFT_SCHEMA_VERSION = 2;
+  const DRAFT_MIGRATIONS = {
+    // v1: flat { name, email, message, ts }
+    1(record) {
+      const fields = {};
+      Object.keys(record).forEach(k => {
+        if (k !== 'ts' && k !== 'v' && typeof record[k] === 'string') fields[k] = record[k];
+      });
+      return { v: 2, fields, ts: typeof record.ts === 'number' ? record.ts : Date.now() };
+    },
+  };
+
+  function migrateDraftRecord(record) {
+    if (!record || typeof record !== 'object') return null;
+    let current = record;
+    let v = typeof current.v === 'number' ? current.v : 1;
+    while (v < DRAFT_SCHEMA_VERSION) {
+      const step = DRAFT_MIGRATIONS[v];
+      if (!step) return null;
+      current = step(current);
+      v = current.v;
+    }
+    return v === DRAFT_SCHEMA_VERSION && current.fields ? current : null;
+  }
+
+  /**
+   * Older versions of a versioned storage key, newest first:
+   * 'draft_v3' -> ['draft_v2', 'draft_v1']; 'form_v2:news' -> ['form_v1:news'].
+   */
+  function previousDraftKeys(key) {
+    const m = /^(.*_v)(\d+)(.*)$/.exec(key || '');
+    if (!m) return [];
+    const out = [];
+    for (let n = parseInt(m[2], 10) - 1; n >= 1; n -= 1) out.push(`${m[1]}${n}${m[3]}`);
+    return out;
+  }
+
+  /**
+   * Load the draft stored under `key`, falling back to older versions of the key (which are
+   * migrated to `key` and removed). Expired or unreadable drafts are deleted.
+   * @param {string} key
+   * @param {number} ttlMs 0 disables expiry
+   * @returns {Object|null} draft record
+   */
+  function loadDraftRecord(key, ttlMs) {
+    const candidates = [key].concat(previousDraftKeys(key));
+    for (const k of candidates) {
+      const raw = localStorage.getItem(k);
+      if (!raw) continue;
+      let record = null;
+      try {
+        record = migrateDraftRecord(JSON.parse(raw));
+      } catch (e) {
+        record = null;
+      }
+      if (!record) {
+        formLog.debug('Discarding unreadable draft', k);
+        localStorage.removeItem(k);
+        continue;
+      }
+      if (k !== key) localStorage.removeItem(k);
+      if (ttlMs > 0 && Date.now() - record.ts > ttlMs) {
+        formLog.debug('Discarding expired draft', k);
+        if (k === key) localStorage.removeItem(k);
+        return null;
+      }
+      if (k !== key) {
+        localStorage.setItem(key, JSON.stringify(record));
+        formLog.info('Draft migrated from', k, 'to', key);
+      }
+      return record;
+    }
+    return null;
+  }
+
+  /**
+   * Build a plain object from a form's successful controls (repeated names become arrays).
+   * @param {HTMLFormElement} form
+   * @returns {Object}
+   */
+  function serializeForm(form) {
+    const data = {};
+    new FormData(form).forEach((value, key) => {
+      if (typeof value !== 'string') return; // files are not supported by the built-in transports
+      if (Object.prototype.hasOwnProperty.call(data, key)) {
+        data[key] = [].concat(data[key], value);
+      } else {
+        data[key] = value;
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Normalize server-side field errors into { fieldName: message }.
+   * Accepts { errors: { email: 'msg' | ['msg'] } } or { errors: [{ field|name, message }] }
+   * (also under `fieldErrors`).
+   */
+  function normalizeFieldErrors(body) {
+    const out = {};
+    const src = body && typeof body === 'object' ? (body.fieldErrors || body.errors) : null;
+    if (!src || typeof src !== 'object') return out;
+    if (Array.isArray(src)) {
+      src.forEach(item => {
+        const key = item && (item.field || item.name);
+        if (key && item.message) out[key] = String(item.message);
+      });
+    } else {
+      Object.keys(src).forEach(key => {
+        const val = Array.isArray(src[key]) ? src[key][0] : src[key];
+        if (val) out[key] = String(val);
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Turn a fetch Response into a transport result.
+   * @param {Response} res
+   * @returns {Promise<{ok: boolean, status: number, body: *, fieldErrors: Object, message: (string|undefined)}>}
+   */
+  async function readTransportResponse(res) {
+    let body = null;
+    const type = (res.headers && res.headers.get('content-type')) || '';
+    try {
+      body = type.indexOf('json') !== -1 ? await res.json() : await res.text();
+    } catch (e) {
+      body = null;
+    }
+    const message = body && typeof body === 'object' ? (body.message || body.error) : undefined;
+    return { ok: !!res.ok, status: res.status, body, fieldErrors: res.ok ? {} : normalizeFieldErrors(body), message };
+  }
+
+  /**
+   * Coerce whatever a transport returned into { ok, fieldErrors, message }.
+   * undefined/true mean success, false means a generic failure.
+   */
+  async function normalizeTransportResult(result) {
+    if (result === undefined || result === null || result === true) return { ok: true, fieldErrors: {} };
+    if (result === false) return { ok: false, fieldErrors: {} };
+    if (typeof Response !== 'undefined' && result instanceof Response) return readTransportResponse(result);
+    const fieldErrors = normalizeFieldErrors(result);
+    const ok = result.ok !== false && !Object.keys(fieldErrors).length;
+    return Object.assign({}, result, { ok, fieldErrors });
+  }
+
+  /**
+   * Resolve where a native submit of `form` would go.
+   * @param {HTMLFormElement} [form]
+   * @returns {{action: string, method: string}}
+   */
+  function formTarget(form) {
+    const action = (form && form.getAttribute('action')) || location.href;
+    const method = ((form && form.getAttribute('method')) || 'post').toUpperCase();
+    return { action: new URL(action, location.href).toString(), method };
+  }
+
+  /**
+   * Built-in contact form transports. Each receives (payload, ctx) where ctx is
+   * { form, endpoint, action, method, signal } and resolves to a Response or a result object.
+   * `form` may be null when a queued message is replayed from the outbox.
+   */
+  const CONTACT_TRANSPORTS = {
+    simulate() {
+      return Promise.resolve({ ok: true, simulated: true });
+    },
+
+    json(payload, ctx) {
+      if (!ctx.endpoint) {
+        const err = new Error('contactEndpoint is required for the json transport');
+        err.code = 'config';
+        return Promise.reject(err);
+      }
+      return fetch(ctx.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(payload),
+        signal: ctx.signal,
+      });
+    },
+
+    // Mirrors a native form post (action/method and hidden fields such as form-name included)
+    urlencoded(payload, ctx) {
+      const target = ctx.action ? { action: ctx.action, method: ctx.method || 'POST' } : formTarget(ctx.form);
+      const method = target.method;
+      const url = new URL(ctx.endpoint || target.action, location.href);
+      url.hash = '';
+      const body = new URLSearchParams();
+      Object.keys(payload).forEach(key => {
+        [].concat(payload[key]).forEach(value => body.append(key, value));
+      });
+      if (method === 'GET') {
+        body.forEach((value, key) => url.searchParams.append(key, value));
+        return fetch(url.toString(), { method, headers: { Accept: 'application/json' }, signal: ctx.signal });
+      }
+      return fetch(url.toString(), {
+        method,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: body.toString(),
+        signal: ctx.signal,
+      });
+    },
+  };
+
+  /**
+   * Whether a failed submission is worth queueing for a later retry: network errors,
+   * timeouts, 408/429 and 5xx are; validation (4xx with field errors) and config errors are not.
+   * A custom transport can decide explicitly by returning { ok: false, retryable: true|false }.
+   */
+  function isRetryableFailure(result, error) {
+    if (error) return error.code !== 'config';
+    if (!result) return false;
+    if (result.retryable !== undefined) return !!result.retryable;
+    if (Object.keys(result.fieldErrors || {}).length) return false;
+    const status = result.status;
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Run a transport with a timeout. Rejects with an Error whose `code` is 'timeout' when
+   * the deadline passes; the AbortSignal passed to the transport is aborted at the same time.
+   * @param {Function} transport
+   * @param {Object} payload
+   * @param {Object} ctx { form, endpoint }
+   * @param {number} timeoutMs
+   * @param {AbortController} controller
+   */
+  function runTransport(transport, payload, ctx, timeoutMs, controller) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      if (!(timeoutMs > 0)) return;
+      timer = setTimeout(() => {
+        const err = new Error(`Contact submission timed out after ${timeoutMs}ms`);
+        err.code = 'timeout';
+        try { controller.abort(); } catch (_) { /* ignore */ }
+        reject(err);
+      }, timeoutMs);
+    });
+    const call = Promise.resolve()
+      .then(() => transport(payload, Object.assign({}, ctx, { signal: controller.signal })))
+      .then(normalizeTransportResult);
+    return Promise.race([call, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Per-browser submission rate limiting. Timestamps of accepted submissions are kept in
+   * localStorage as { bucket: [ms, ...] } under `storageKey`.
+   */
+  function readSubmissionLog(storageKey) {
+    try {
+      const log = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      return log && typeof log === 'object' && !Array.isArray(log) ? log : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function isRateLimited(storageKey, bucket, limit, now) {
+    if (!limit || !(limit.max > 0) || !(limit.windowMs > 0)) return false;
+    const recent = (readSubmissionLog(storageKey)[bucket] || []).filter(t => now - t < limit.windowMs);
+    return recent.length >= limit.max;
+  }
+
+  function recordSubmission(storageKey, bucket, limit, now) {
+    if (!limit || !(limit.windowMs > 0)) return;
+    const log = readSubmissionLog(storageKey);
+    log[bucket] = (log[bucket] || []).filter(t => now - t < limit.windowMs).concat(now);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(log));
+    } catch (e) {
+      formLog.debug('Could not persist submission log', e);
+    }
+  }
+
+  /**
+   * Persistent storage for the contact outbox. Prefers IndexedDB (database named `key`)
+   * and falls back to a JSON array in localStorage under the same key.
+   * Every method returns a Promise.
+   * @param {string} key
+   */
+  function createOutboxStore(key) {
+    const STORE = 'messages';
+
+    function localBackend() {
+      function read() {
+        try {
+          const items = JSON.parse(localStorage.getItem(key) || '[]');
+          return Array.isArray(items) ? items : [];
+        } catch (e) {
+          return [];
+        }
+      }
+      function write(items) {
+        if (items.length) localStorage.setItem(key, JSON.stringify(items));
+        else localStorage.removeItem(key);
+      }
+      return {
+        kind: 'localStorage',
+        getAll: () => Promise.resolve(read()),
+        put(entry) {
+          write(read().filter(e => e.id !== entry.id).concat(entry));
+          return Promise.resolve(entry);
+        },
+        delete(id) {
+          write(read().filter(e => e.id !== id));
+          return Promise.resolve();
+        },
+      };
+    }
+
+    function idbBackend(db) {
+      function run(mode, fn) {
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction(STORE, mode);
+          const req = fn(tx.objectStore(STORE));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      }
+      return {
+        kind: 'indexedDB',
+        getAll: () => run('readonly', s => s.getAll()),
+        put: entry => run('readwrite', s => s.put(entry)).then(() => entry),
+        delete: id => run('readwrite', s => s.delete(id)),
+      };
+    }
+
+    const ready = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined' || !indexedDB) {
+        reject(new Error('IndexedDB unavailable'));
+        return;
+      }
+      const req = indexedDB.open(key, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(idbBackend(req.result));
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    }).catch(e => {
+      formLog.debug('Outbox: using localStorage fallback', e && e.message);
+      return localBackend();
+    });
+
+    return {
+      kind: () => ready.then(b => b.kind),
+      getAll: () => ready.then(b => b.getAll()).then(items => items.sort((a, b) => a.createdAt - b.createdAt)),
+      put: entry => ready.then(b => b.put(entry)),
+      delete: id => ready.then(b => b.delete(id)),
+    };
+  }
+
+  let stepperSeq = 0; // page-wide, so generated step ids stay unique across apps
+
+  // Roots of running scoped apps (SiteApp.create): the apps around a root leave it alone, handing
+  // over what they enhanced inside it when it is claimed and picking it up again when released
+  const scopedApps = new Map(); // root -> app
+  const scopeWatchers = new Set(); // onScopeChange(scopeRoot, claimed) of every running app
+
+  function claimScope(root, app) {
+    scopedApps.set(root, app);
+    scopeWatchers.forEach(fn => fn(root, true));
+  }
+
+  function releaseScope(root) {
+    scopedApps.delete(root);
+    scopeWatchers.forEach(fn => fn(root, false));
+  }
+
+  /**
+   * SiteApp module
+   *
+   * createSiteApp(root) builds one app working inside `root`: the document for the global SiteApp,
+   * an element or a ShadowRoot for apps made with SiteApp.create() (see create). An app has its
+   * own options, plugins, listeners, event bus, forms and steppers; a scoped app looks up,
+   * listens to and creates elements only inside its root.
+   * @param {Document|Element|ShadowRoot} root
+   * @param {Object} [appDefaults] option defaults of this app, under the page's and init's options
+   */
+  function createSiteApp(root, appDefaults) {
+    const scoped = root !== document;
+    const Events = createEventBus(root);
+    let app = null; // the public API, returned at the end
+    let opts = Object.assign({}, DEFAULTS);
+    let state = {
+      initialized: false,
+      handlers: [],
+      forms: new Map(), // form element -> controller (see enhanceForm)
+      steppers: new Map(), // container element -> Stepper instance
+      unfollow: null, // stops following the page's consent and locale (scoped apps)
+    };
+
+    // Lookups limited to the root; an element root counts itself
+    function queryAll(selector) {
+      const found = Array.from(root.querySelectorAll(selector));
+      if (root.nodeType === 1 && root.matches(selector)) found.unshift(root);
+      return found;
+    }
+
+    function query(selector) {
+      return root.nodeType === 1 && root.matches(selector) ? root : root.querySelector(selector);
+    }
+
+    function byId(id) {
+      if (!id) return null;
+      if (typeof root.getElementById === 'function') return root.getElementById(id);
+      const el = document.getElementById(id);
+      return el && inScope(el) ? el : queryAll('[id]').find(e => e.id === id) || null;
+    }
+
+    function inScope(node) {
+      return !!node && (node === root || root.contains(node));
+    }
+
+    // Inside the root of an app made with SiteApp.create() within this root: that app owns it
+    function inScopedApp(node) {
+      for (const other of scopedApps.keys()) {
+        if (other !== root && other.contains(node) && inScope(other)) return true;
+      }
+      return false;
+    }
+
+    // A scoped app claimed or released `scopeRoot` inside this root: hand over the forms and
+    // steppers enhanced there, or look for them again
+    function onScopeChange(scopeRoot, claimed) {
+      if (scopeRoot === root || !inScope(scopeRoot)) return;
+      if (claimed) {
+        state.forms.forEach(ctl => {
+          if (scopeRoot.contains(ctl.form)) ctl.teardown();
+        });
+        state.steppers.forEach(stepper => {
+          if (scopeRoot.contains(stepper.element)) stepper.destroy();
+        });
+        return;
+      }
+      if (running.has('formEnhancer')) setupForms();
+      if (running.has('stepper')) setupSteppers(running.get('stepper').ctx);
+    }
+
+    // The focused element as seen from inside the root (a ShadowRoot tracks its own)
+    function activeElement() {
+      return (root.nodeType === 11 && root.activeElement) || document.activeElement;
+    }
+
+    /**
+     * Check options against OPTION_SCHEMA and the registered plugins' schemas (see Option
+     * schema). Throws a TypeError or RangeError naming the option; unknown keys are warnings.
+     * @param {Object} supplied
+     * @param {string} [caller] named in the error for a non-object, e.g. 'SiteApp.configure'
+     */
+    function validateOptions(supplied, caller) {
+      if (supplied === undefined || supplied === null) return;
+      if (!isPlainObject(supplied)) {
+        throw new TypeError(`${caller || 'SiteApp.init'} expects an options object`);
+      }
+      const props = Object.assign({}, OPTION_SCHEMA);
+      plugins.forEach(p => {
+        props[p.name] = ['boolean', { type: 'object', props: pluginSchema(p) }];
+      });
+      checkOptions(props, supplied, '', message => Logger.warn(message));
+    }
+
+    /**
+     * Attach event listeners and save cleanup handles.
+     * Each handler is stored as {target, type, listener, opts}
+     */
+    function addListener(target, type, listener, opts) {
+      if (!target || typeof target.addEventListener !== 'function') return null;
+      target.addEventListener(type, listener, opts);
+      const handle = { target, type, listener, opts };
+      state.handlers.push(handle);
+      return handle;
+    }
+
+    /**
+     * A set of listeners that can be removed on its own (e.g. one form) while still
+     * being covered by removeAllListeners() on full teardown.
+     */
+    function createListenerGroup() {
+      let own = [];
+      return {
+        add(target, type, listener, o) {
+          const handle = addListener(target, type, listener, o);
+          if (handle) own.push(handle);
+          return handle;
+        },
+        removeAll() {
+          own.forEach(h => {
+            try {
+              h.target.removeEventListener(h.type, h.listener, h.opts);
+            } catch (e) {
+              // ignore removal errors
+            }
+          });
+          state.handlers = state.handlers.filter(h => own.indexOf(h) === -1);
+          own = [];
+        },
+      };
+    }
+
+    /**
+     * Remove all registered listeners.
+     */
+    function removeAllListeners() {
+      state.handlers.forEach(h => {
+        try {
+          h.target.removeEventListener(h.type, h.listener, h.opts);
+        } catch (e) {
+          // ignore removal errors
+        }
+      });
+      state.handlers = [];
+    }
+
+    function resolveTransport(t) {
+      if (typeof t === 'function') return t;
+      if (CONTACT_TRANSPORTS[t]) return CONTACT_TRANSPORTS[t];
+      formLog.warn('Unknown transport, falling back to simulate:', t);
+      return CONTACT_TRANSPORTS.simulate;
+    }
+
+    /**
+     * Contact outbox: submissions that failed for a transient reason are persisted and
+     * replayed with exponential backoff on the `online` event, on init and on a timer.
+     * Entries: { id, formKey, payload, target: {action, method}, createdAt, attempts, nextAttemptAt,
+     * status: 'pending'|'failed', lastError }.
+     * Exposed publicly as SiteApp.outbox.
+     */
+    const outbox = (function () {
+      const stores = {};
+      const changeListeners = new Set();
+      let timer = null;
+      let flushing = null;
+      let controller = null;
+      let generation = 0; // bumped by stop() so a flush under way stops after its current entry
+
+      function store() {
+        const key = opts.contactOutboxKey;
+        if (!stores[key]) stores[key] = createOutboxStore(key);
+        return stores[key];
+      }
+
+      function notify() {
+        if (!changeListeners.size) return;
+        list().then(items => {
+          changeListeners.forEach(fn => {
+            try { fn(items); } catch (e) { formLog.warn('Outbox change listener failed', e); }
+          });
+        });
+      }
+
+      function backoffDelay(attempts) {
+        return Math.min(opts.outboxMaxBackoffMs, opts.outboxBackoffMs * Math.pow(2, Math.max(0, attempts - 1)));
+      }
+
+      function list() {
+        return store().getAll();
+      }
+
+      function enqueue(payload, target, lastError, formKey) {
+        const now = Date.now();
+        const entry = {
+          id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+          formKey: formKey || null,
+          payload,
+          target,
+          createdAt: now,
+          attempts: 0,
+          nextAttemptAt: now + opts.outboxBackoffMs,
+          status: 'pending',
+          lastError: lastError || null,
+        };
+        return store().put(entry).then(() => {
+          formLog.info('Outbox: queued message', entry.id, entry.formKey);
+          notify();
+          schedule();
+          return entry;
+        });
+      }
+
+      // Send one entry; resolves to 'sent', 'pending' (retry later) or 'failed' (rejected)
+      async function attempt(entry) {
+        controller = typeof AbortController !== 'undefined' ? new AbortController() : { signal: undefined, abort() {} };
+        let result = null;
+        let error = null;
+        // replay with the settings of the form that queued it (its element may not be on this page)
+        const live = findFormController(entry.formKey);
+        const config = live ? live.config : formConfig(null, entry.formKey);
+        try {
+          result = await runTransport(resolveTransport(config.transport), entry.payload, {
+            form: live ? live.form : null,
+            endpoint: config.endpoint,
+            action: entry.target && entry.target.action,
+            method: entry.target && entry.target.method,
+          }, config.timeoutMs, controller);
+        } catch (e) {
+          error = e;
+        }
+        controller = null;
+
+        if (result && result.ok) {
+          await store().delete(entry.id);
+          formLog.info('Outbox: delivered queued message', entry.id, entry.formKey);
+          return 'sent';
+        }
+        const attempts = entry.attempts + 1;
+        const retryable = isRetryableFailure(result, error);
+        const updated = Object.assign({}, entry, {
+          attempts,
+          status: retryable ? 'pending' : 'failed',
+          nextAttemptAt: retryable ? Date.now() + backoffDelay(attempts) : null,
+          lastError: error ? (error.message || String(error)) : ((result && result.message) || `HTTP ${result && result.status}`),
+        });
+        await store().put(updated);
+        formLog.warn('Outbox: delivery failed', entry.id, updated.lastError);
+        return updated.status;
+      }
+
+      /**
+       * Attempt delivery of queued entries.
+       * @param {Object} [options]
+       * @param {boolean} [options.force] ignore the backoff schedule for pending entries
+       * @param {string} [options.id] only this entry (failed entries included)
+       * @returns {Promise<{sent: number, pending: number, failed: number}>}
+       */
+      function flush(options) {
+        options = options || {};
+        if (flushing) return flushing.then(() => flush(options));
+        flushing = (async () => {
+          const summary = { sent: 0, pending: 0, failed: 0 };
+          const now = Date.now();
+          const run = generation;
+          const items = await list();
+          for (const entry of items) {
+            if (run !== generation) break;
+            const selected = options.id ? entry.id === options.id : entry.status === 'pending';
+            const due = options.id || options.force || entry.nextAttemptAt <= now;
+            const outcome = selected && due ? await attempt(entry) : entry.status;
+            summary[outcome] += 1;
+          }
+          return summary;
+        })();
+        return flushing.then(summary => {
+          flushing = null;
+          notify();
+          schedule();
+          return summary;
+        }, e => {
+          flushing = null;
+          formLog.warn('Outbox: flush failed', e);
+          throw e;
+        });
+      }
+
+      // for callers nobody awaits; flush() has already logged the failure
+      function flushInBackground(options) {
+        flush(options).catch(() => {});
+      }
+
+      // Arm a timer for the earliest pending entry (only while SiteApp is running)
+      function schedule() {
+        clearTimeout(timer);
+        timer = null;
+        if (!state.initialized || !opts.enableOutbox) return;
+        list().then(items => {
+          const next = items.filter(e => e.status === 'pending').map(e => e.nextAttemptAt);
+          if (!next.length || !state.initialized) return;
+          const delay = Math.max(0, Math.min.apply(null, next) - Date.now());
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            timer = null;
+            if (isOnline()) flushInBackground();
+            else schedule();
+          }, delay);
+        }).catch(e => formLog.debug('Outbox: could not schedule retry', e));
+      }
+
+      // ctx is the outbox plugin's context: the 'online' listener goes when the plugin stops
+      function start(ctx) {
+        if (!opts.enableOutbox) return;
+        ctx.addListener(global, 'online', () => flushInBackground({ force: true }), false);
+        if (isOnline()) flushInBackground();
+        else schedule();
+      }
+
+      function stop() {
+        generation += 1;
+        clearTimeout(timer);
+        timer = null;
+        if (controller) {
+          try { controller.abort(); } catch (_) { /* ignore */ }
+        }
+      }
+
+      function discard(id) {
+        return list().then(items => Promise.all(items
+          .filter(e => id === undefined || e.id === id)
+          .map(e => store().delete(e.id))))
+          .then(removed => {
+            notify();
+            schedule();
+            return removed.length;
+          });
+      }
+
+      function onChange(fn) {
+        if (typeof fn !== 'function') throw new TypeError('outbox.onChange expects a function');
+        changeListeners.add(fn);
+        return () => changeListeners.delete(fn);
+      }
+
+      return {
+        enqueue,
+        flush,
+        start,
+        stop,
+        api: {
+          list,
+          // retry(id) forces one entry (even a failed one); retry() forces every pending entry
+          retry: id => flush(id === undefined ? { force: true } : { id }),
+          discard,
+          onChange,
+        },
+      };
+    })();
+
+    function isOnline() {
+      return !(typeof navigator !== 'undefined' && navigator.onLine === false);
+    }
+
+    /**
+     * Mobile navigation behavior
+     *
+     * Improved selection logic:
+     * - If toggle has aria-controls pointing to an existing element use that first.
+     * - Fallback to an explicit '#mobile-menu' selector if present.
+     * - Otherwise fall back to the configured generic selector.
+     * This avoids binding to the wrong nav and respects pre-existing aria-controls.
+     *
+     * Within mobileNavBreakpoint an open menu is modal: Tab cycles through the toggle and the menu,
+     * the rest of the page is inert (aria-hidden where inert is unsupported) and does not scroll.
+     * Built-in plugin "mobileNav"; returns its cleanup.
+     * @param {Object} ctx plugin context
+     */
+    function setupMobileNav(ctx) {
+      const addListener = ctx.addListener;
+      const dom = ctx.dom;
+      const toggle = document.querySelector(opts.mobileNavToggleSelector);
+      const body = document.body;
+
+      if (!toggle) {
+        navLog.debug('Mobile nav: missing toggle', opts.mobileNavToggleSelector);
+        return;
       }
 
       // Prefer target provided via aria-controls on the toggle if it references an existing element
       let nav = null;
       try {
-        const ariaControls = toggle.getAttribute && toggle.getAttribute('aria-controls');
-        if (ariaControls) {
-          const found = document.getElementById(ariaControls);
-          if (found) nav = found;
+        const ariaControls = toggle.getAttribute && toggle.getAttribute('aria-controls');
+        if (ariaControls) {
+          const found = document.getElementById(ariaControls);
+          if (found) nav = found;
+        }
+      } catch (_) { /* ignore */ }
+
+      // If no nav from aria-controls, try an explicit mobile menu id commonly used
+      if (!nav) {
+        nav = document.getElementById('mobile-menu') || document.querySelector('#mobile-menu');
+      }
+
+      // Fallback to configured generic selector
+      if (!nav) {
+        nav = document.querySelector(opts.mobileNavContainerSelector);
+      }
+
+      if (!nav) {
+        navLog.debug('Mobile nav: nav container not found via any selector');
+        return;
+      }
+
+      // Ensure accessibility attributes: only set aria-controls if not present (respect existing)
+      if (!toggle.getAttribute('aria-controls')) {
+        if (!nav.id) dom.setAttr(nav, 'id', `main-nav-${Math.random().toString(36).slice(2, 8)}`);
+        dom.setAttr(toggle, 'aria-controls', nav.id);
+      } else {
+        // If aria-controls exists but nav had no id, try to ensure the target is correct
+        if (!nav.id) dom.setAttr(nav, 'id', toggle.getAttribute('aria-controls') || `main-nav-${Math.random().toString(36).slice(2, 8)}`);
+      }
+
+      if (!toggle.hasAttribute('aria-expanded')) dom.setAttr(toggle, 'aria-expanded', 'false');
+      if (!nav.hasAttribute('aria-expanded')) dom.setAttr(nav, 'aria-expanded', 'false');
+
+      // Icon-only toggles get a localized accessible name
+      if (!toggle.textContent.trim() && !toggle.hasAttribute('aria-label') && !toggle.hasAttribute('aria-labelledby')) {
+        dom.record(toggle, 'aria-label');
+        I18n.bind(toggle, () => ctx.t('navToggleLabel'), 'aria-label');
+      }
+
+      const FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+        'textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+      const supportsInert = typeof HTMLElement !== 'undefined' && 'inert' in HTMLElement.prototype;
+      const media = opts.mobileNavBreakpoint && typeof global.matchMedia === 'function' ? global.matchMedia(opts.mobileNavBreakpoint) : null;
+      let modal = null; // journal of the inert background and scroll lock while the menu is modal
+
+      function isOpen() {
+        return body.classList.contains(opts.mobileNavOpenClass);
+      }
+
+      function isModal() {
+        return !media || media.matches;
+      }
+
+      function focusables() {
+        return [toggle].concat(Array.from(nav.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('[hidden]')));
+      }
+
+      // Everything outside the nav and its toggle: siblings all the way up to <body>
+      function outside() {
+        const keep = [nav, toggle];
+        const found = [];
+        (function walk(parent) {
+          Array.from(parent.children).forEach(el => {
+            if (keep.indexOf(el) !== -1 || /^(SCRIPT|STYLE|TEMPLATE|LINK)$/.test(el.tagName)) return;
+            if (keep.some(k => el.contains(k))) walk(el);
+            else found.push(el);
+          });
+        })(body);
+        return found;
+      }
+
+      // Inert background (where supported; otherwise hidden from assistive tech, relying on the
+      // focus trap) and a scroll lock, both undone when the menu stops being modal
+      function setModal(on) {
+        if (on === !!modal) return;
+        if (!on) {
+          modal.revert();
+          modal = null;
+          return;
+        }
+        modal = createMutationJournal();
+        outside().forEach(el => {
+          if (supportsInert) modal.setAttr(el, 'inert', true);
+          else modal.setAttr(el, 'aria-hidden', 'true');
+        });
+        const root = document.documentElement;
+        // keep the layout from shifting when the scrollbar disappears
+        const gutter = window.innerWidth - root.clientWidth;
+        const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+        modal.setStyle(root, 'overflow', 'hidden');
+        modal.setStyle(body, 'overflow', 'hidden');
+        if (gutter > 0) modal.setStyle(body, 'padding-right', `${padding + gutter}px`);
+      }
+
+      function openNav() {
+        if (!Events.emit('before-nav-open', { nav, toggle }, nav)) return;
+        dom.toggleClass(body, opts.mobileNavOpenClass, true);
+        dom.setAttr(toggle, 'aria-expanded', 'true');
+        dom.setAttr(nav, 'aria-expanded', 'true');
+        dom.toggleClass(nav, 'is-open', true);
+        if (isModal()) setModal(true);
+        // set focus to first link inside nav for accessibility
+        const firstLink = nav.querySelector('a, button, [tabindex]:not([tabindex="-1"])');
+        if (firstLink) {
+          try { firstLink.focus(); } catch (_) { /* ignore */ }
+        }
+        navLog.info('Mobile nav opened');
+        Events.emit('nav-open', { nav, toggle }, nav);
+      }
+
+      /**
+       * @param {Object} [how] - { focusToggle: false } when focus is going elsewhere (a followed
+       *   link, or a toggle that is hidden at this width)
+       */
+      function closeNav(how) {
+        dom.toggleClass(body, opts.mobileNavOpenClass, false);
+        dom.setAttr(toggle, 'aria-expanded', 'false');
+        dom.setAttr(nav, 'aria-expanded', 'false');
+        dom.toggleClass(nav, 'is-open', false);
+        setModal(false);
+        if (!how || how.focusToggle !== false) {
+          try { toggle.focus({ preventScroll: true }); } catch (_) { try { toggle.focus(); } catch (__) { /* ignore */ } }
+        }
+        navLog.info('Mobile nav closed');
+        Events.emit('nav-close', { nav, toggle }, nav);
+      }
+
+      function toggleNav() {
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+        if (expanded) closeNav();
+        else openNav();
+      }
+
+      function onDocumentKey(e) {
+        if (!isOpen()) return;
+        if (e.key === 'Escape') {
+          closeNav();
+          return;
+        }
+        // Focus trap: Tab cycles through the toggle and the menu while it covers the page
+        if (e.key !== 'Tab' || !isModal()) return;
+        const items = focusables();
+        const at = items.indexOf(document.activeElement);
+        const next = e.shiftKey ? (at <= 0 ? items.length - 1 : at - 1) : (at === -1 || at === items.length - 1 ? 0 : at + 1);
+        e.preventDefault();
+        try { items[next].focus(); } catch (_) { /* ignore */ }
+      }
+
+      // Without inert, focus can still reach the page (pointer, screen reader); send it back
+      function onDocumentFocus(e) {
+        if (!isOpen() || !isModal() || nav.contains(e.target) || toggle.contains(e.target)) return;
+        const items = focusables();
+        try { (items[1] || toggle).focus(); } catch (_) { /* ignore */ }
+      }
+
+      function onDocumentClick(e) {
+        // close nav when clicking outside the nav + toggle
+        if (!isOpen()) return;
+        const path = e.composedPath ? e.composedPath() : (e.path || []);
+        if (path && path.length) {
+          if (path.includes(nav) || path.includes(toggle)) return;
+        } else {
+          if (nav.contains(e.target) || toggle.contains(e.target)) return;
+        }
+        closeNav();
+      }
+
+      // Following a link to this page scrolls rather than navigates, so close the menu first
+      // (before smooth scroll focuses the target, which must not be inert by then)
+      function onNavClick(e) {
+        if (!isOpen() || e.defaultPrevented) return;
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (link && nav.contains(link) && isSamePageLink(link)) closeNav({ focusToggle: false });
+      }
+
+      // Crossing the breakpoint: the desktop nav is never "open", and a menu opened at desktop
+      // width becomes modal when the viewport shrinks
+      function onBreakpoint() {
+        if (!isOpen()) return;
+        if (isModal()) setModal(true);
+        else closeNav({ focusToggle: false });
+      }
+
+      addListener(toggle, 'click', function (ev) {
+        ev.preventDefault();
+        toggleNav();
+      });
+
+      // also support quick touchstart for snappy mobile - passive true (no-op handler to hint to browser)
+      addListener(toggle, 'touchstart', function () {
+        // no-op; keep passive true to avoid blocking
+      }, { passive: true });
+
+      addListener(document, 'keydown', onDocumentKey, false);
+      addListener(document, 'click', onDocumentClick, false);
+      addListener(document, 'focusin', onDocumentFocus, false);
+      addListener(nav, 'click', onNavClick, false);
+      let unwatchBreakpoint = null;
+      if (media) {
+        if (typeof media.addEventListener === 'function') {
+          addListener(media, 'change', onBreakpoint, false);
+        } else if (typeof media.addListener === 'function') {
+          // Safari < 14
+          media.addListener(onBreakpoint);
+          unwatchBreakpoint = () => media.removeListener(onBreakpoint);
+        }
+      }
+
+      // ctx.dom restores the ids, ARIA attributes and classes afterwards
+      return function teardownMobileNav() {
+        if (unwatchBreakpoint) unwatchBreakpoint();
+        if (isOpen()) closeNav({ focusToggle: false });
+        I18n.release(toggle);
+      };
+    }
+
+    /**
+     * Whether `link` points at an anchor on the current page (including index.html#id forms).
+     */
+    function isSamePageLink(link) {
+      try {
+        // Create absolute URL and compare origin + pathname to current location
+        const url = new URL(link.href, location.href);
+        // if no hash, not an anchor target we care about
+        if (!url.hash) return false;
+        return url.origin === location.origin && (url.pathname === location.pathname || url.pathname === (location.pathname.replace(/^\//, '') || '/'));
+      } catch (e) {
+        // fallback: links starting with '#' are same-page
+        return (link.getAttribute('href') || '').startsWith('#');
+      }
+    }
+
+    /**
+     * Smooth scroll handling for in-page anchors.
+     *
+     * - Treats same-page links (including those with explicit filename like index.html#id) as smooth-scroll targets.
+     * - Uses resolveScrollOffset everywhere to avoid double-scrolls and CSS/JS offset mismatch.
+     * - Delegated single handler on document for performance.
+     * - Writes the hash to the URL (smoothScrollHistory); back/forward scroll to the entry's target,
+     *   or to where the reader was before following the link.
+     * - Corrects a hash present on load (e.g. about.html -> index.html#contact) that the browser
+     *   left under the sticky header.
+     * Built-in plugin "smoothScroll".
+     * @param {Object} ctx plugin context
+     */
+    function setupSmoothScroll(ctx) {
+      const addListener = ctx.addListener;
+
+      function handleAnchorClick(ev) {
+        // Only left-click w/o modifier keys
+        if (ev.defaultPrevented) return;
+        if (ev.button !== undefined && ev.button !== 0) return;
+        if (ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+
+        const link = ev.target.closest('a');
+        if (!link || inScopedApp(link)) return;
+
+        const href = link.getAttribute('href') || '';
+        // If the link explicitly disables smooth via data-smooth="false", skip
+        if (link.dataset && link.dataset.smooth === 'false') return;
+
+        // Determine if this link refers to the current page anchor
+        if (!isSamePageLink(link)) return;
+
+        // Derive the target id from hash
+        const hash = (href.indexOf('#') === 0) ? href : (new URL(link.href, location.href).hash || '');
+        const id = hash ? hash.slice(1) : '';
+        // If no id, treat as "scroll to top"
+        if (!id) {
+          ev.preventDefault();
+          remember('');
+          scrollToY(0);
+          return;
+        }
+
+        const target = targetFor(id);
+        if (!target) return; // allow default if element not found
+        ev.preventDefault();
+        // Steps of a stepper are hidden until active: switch to the step (the stepper updates
+        // the URL if it deep-links) and reveal the stepper instead of the hidden step
+        const step = stepperFor(target);
+        if (step) {
+          step.internals.show(step.index);
+          focusAndReveal(step.instance.element, undefined);
+          return;
+        }
+        remember(id);
+        reveal(target);
+      }
+
+      function targetFor(id) {
+        return id ? byId(id) || queryAll('[name]').find(el => el.getAttribute('name') === id) || null : null;
+      }
+
+      function hashId() {
+        try {
+          return decodeURIComponent(location.hash.slice(1));
+        } catch (_) {
+          return location.hash.slice(1);
+        }
+      }
+
+      function scrollToY(top) {
+        try {
+          window.scrollTo({ top, behavior: 'smooth' });
+        } catch (_) {
+          window.scrollTo(0, top);
+        }
+      }
+
+      function reveal(target) {
+        // Use focusAndReveal which resolves offsets and performs the scroll once
+        try {
+          focusAndReveal(target, undefined);
+        } catch (e) {
+          // fallback: do manual scroll using resolved offset
+          scrollToY(Math.max(0, target.getBoundingClientRect().top + window.pageYOffset - resolveScrollOffset()));
+          target.focus && target.focus();
+        }
+      }
+
+      // The hash we last saw, so popstate from entries that only differ in other ways (e.g. a
+      // stepper's ?step=) leaves the scroll position alone
+      let lastHash = location.hash;
+
+      function remember(id) {
+        const mode = ctx.config.smoothScrollHistory;
+        if (mode !== 'push' && mode !== 'replace') return;
+        try {
+          const url = new URL(location.href);
+          url.hash = id ? encodeURIComponent(id) : '';
+          if (url.href === location.href) return;
+          const prev = history.state && typeof history.state === 'object' ? history.state : {};
+          const next = Object.assign({}, prev);
+          delete next.siteappScrollY;
+          if (mode === 'push') {
+            // keep where the reader is leaving from, so back can return there
+            history.replaceState(Object.assign({}, prev, { siteappScrollY: window.pageYOffset }), '', location.href);
+            history.pushState(next, '', url.href);
+          } else {
+            history.replaceState(next, '', url.href);
+          }
+          lastHash = location.hash;
+        } catch (e) {
+          navLog.debug('Smooth scroll: could not update URL', e);
+        }
+      }
+
+      function onPopState(ev) {
+        if (location.hash === lastHash) return;
+        lastHash = location.hash;
+        const target = targetFor(hashId());
+        if (target) {
+          // a stepper restores its own step from the URL
+          if (!stepperFor(target)) reveal(target);
+          return;
+        }
+        const y = ev.state && ev.state.siteappScrollY;
+        scrollToY(typeof y === 'number' ? y : 0);
+      }
+
+      // After a load with a hash the browser puts the target at the very top, under the sticky
+      // header; nudge it down unless the reader (or scroll restoration) has moved elsewhere.
+      function correctInitialHash() {
+        const target = targetFor(hashId());
+        if (!target || stepperFor(target)) return;
+        const offset = resolveScrollOffset();
+        const top = target.getBoundingClientRect().top;
+        if (top > -2 && top < offset - 1) window.scrollTo(0, Math.max(0, window.pageYOffset + top - offset));
+      }
+
+      // Delegate from document - single handler
+      addListener(root, 'click', handleAnchorClick, false);
+      addListener(global, 'popstate', onPopState, false);
+      let pending = null;
+      if (location.hash) {
+        // after the other plugins (steppers) have set up; again once images have settled layout
+        pending = setTimeout(correctInitialHash, 0);
+        if (document.readyState !== 'complete') addListener(global, 'load', correctInitialHash, false);
+      }
+      return function cleanupSmoothScroll() {
+        clearTimeout(pending);
+      };
+    }
+
+    /**
+     * Scroll spy: marks the nav link of the section being read with aria-current="location"
+     * and an active class. Built-in plugin "scrollSpy" (options: SCROLL_SPY_DEFAULTS, via init's
+     * `scrollSpy` option; `scrollSpy: false` turns it off).
+     *
+     * A section becomes current when its top passes a line `line` of the way down the area
+     * below the sticky header (--scroll-offset). Sections too short to ever reach that line
+     * still win once the page is scrolled to the end.
+     */
+    const SCROLL_SPY_DEFAULTS = {
+      linkSelector: 'nav a[href*="#"], [data-nav] a[href*="#"]',
+      activeClass: 'is-active',
+      line: 0.35, // 0..1 of the viewport below the header
+    };
+
+    function setupScrollSpy(ctx) {
+      const o = ctx.options;
+      if (typeof global.IntersectionObserver !== 'function') {
+        navLog.debug('Scroll spy: IntersectionObserver not supported');
+        return;
+      }
+
+      // section -> the links that point at it, in document order
+      const targets = new Map();
+      let links = [];
+      try {
+        links = Array.from(document.querySelectorAll(o.linkSelector));
+      } catch (e) {
+        navLog.warn('Invalid scroll spy selector', o.linkSelector, e);
+        return;
+      }
+      links.forEach(link => {
+        if (!isSamePageLink(link)) return;
+        let id = '';
+        try {
+          id = decodeURIComponent(new URL(link.href, location.href).hash.slice(1));
+        } catch (_) {
+          return;
+        }
+        const section = id && document.getElementById(id);
+        // stepper steps are hidden until active; the smooth-scroll handler deals with those
+        if (!section || stepperFor(section)) return;
+        if (!targets.has(section)) targets.set(section, []);
+        targets.get(section).push(link);
+      });
+      if (!targets.size) return;
+      const sections = Array.from(targets.keys()).sort((a, b) =>
+        a.compareDocumentPosition(b) & global.Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+      const inBand = new Set();
+      const inView = new Set();
+      let atEnd = false;
+      let current = null;
+      let observers = [];
+
+      // Past the end of the page nothing scrolls further, so watch a marker there
+      const sentinel = document.createElement('div');
+      sentinel.setAttribute('aria-hidden', 'true');
+      sentinel.style.cssText = 'position:relative;height:1px;margin-top:-1px;pointer-events:none;';
+      ctx.dom.insert(sentinel, document.body);
+
+      function mark(section) {
+        if (section === current) return;
+        const previous = current;
+        current = section;
+        targets.forEach((list, s) => list.forEach(link => {
+          const on = s === section;
+          // leave aria-current="page" and friends alone on links we are not marking
+          if (on) ctx.dom.setAttr(link, 'aria-current', 'location');
+          else if (link.getAttribute('aria-current') === 'location') ctx.dom.setAttr(link, 'aria-current', null);
+          ctx.dom.toggleClass(link, o.activeClass, on);
+        }));
+        Events.emit('section-change', {
+          id: section ? section.id : null,
+          section,
+          previous,
+          links: section ? targets.get(section).slice() : [],
+        });
+      }
+
+      function pick() {
+        const visible = sections.filter(s => inView.has(s));
+        if (atEnd && visible.length) {
+          mark(visible[visible.length - 1]);
+          return;
+        }
+        const crossing = sections.filter(s => inBand.has(s));
+        if (crossing.length) {
+          mark(crossing[crossing.length - 1]);
+          return;
+        }
+        // Between two sections the previous one stays current; above the first, none is
+        const first = sections[0].getBoundingClientRect();
+        if (first.top > resolveScrollOffset()) mark(null);
+      }
+
+      function observe() {
+        observers.forEach(obs => obs.disconnect());
+        const offset = resolveScrollOffset();
+        const below = Math.round((1 - Math.max(0, Math.min(1, o.line))) * 100);
+        // a band from the header down to the line: whatever crosses it is being read
+        const band = new IntersectionObserver(entries => {
+          entries.forEach(e => (e.isIntersecting ? inBand.add(e.target) : inBand.delete(e.target)));
+          pick();
+        }, { rootMargin: `-${offset}px 0px -${below}% 0px` });
+        const view = new IntersectionObserver(entries => {
+          entries.forEach(e => {
+            if (e.target === sentinel) atEnd = e.isIntersecting;
+            else if (e.isIntersecting) inView.add(e.target);
+            else inView.delete(e.target);
+          });
+          pick();
+        }, { rootMargin: `-${offset}px 0px 0px 0px` });
+        inBand.clear();
+        inView.clear();
+        sections.forEach(s => {
+          band.observe(s);
+          view.observe(s);
+        });
+        view.observe(sentinel);
+        observers = [band, view];
+      }
+      observe();
+
+      // The header (and with it --scroll-offset) can change height between breakpoints
+      const onResize = debounce(observe, 200);
+      ctx.addListener(global, 'resize', onResize, { passive: true });
+
+      return function cleanupScrollSpy() {
+        onResize.cancel();
+        observers.forEach(obs => obs.disconnect());
+        observers = [];
+      };
+    }
+
+    /**
+     * Stable key for a form: data-siteapp-form value, then id, then name.
+     * @param {HTMLFormElement} form
+     * @returns {string|null}
+     */
+    function formKeyOf(form) {
+      return (form && (form.getAttribute('data-siteapp-form') || form.id || form.getAttribute('name'))) || null;
+    }
+
+    function isContactForm(form) {
+      try {
+        return !!form && form.matches(opts.contactFormSelector);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Resolve the configuration for one form. The contact form keeps using the contact* options;
+     * any other form is configured through opts.forms[key] and only shares the transport type,
+     * timeout, messages and outbox setting. `overrides` come from SiteApp.forms.enhance().
+     * @param {HTMLFormElement|null} form null when replaying a queued message without its form
+     * @param {string} key
+     * @param {Object} [overrides]
+     */
+    function formConfig(form, key, overrides) {
+      const own = Object.assign({}, (opts.forms || {})[key], overrides);
+      const contact = form ? isContactForm(form) : !(opts.forms || {})[key];
+      return {
+        key,
+        isContact: contact,
+        transport: own.transport || opts.contactTransport,
+        endpoint: own.endpoint || (contact ? opts.contactEndpoint : ''),
+        timeoutMs: own.timeoutMs !== undefined ? own.timeoutMs : opts.contactTimeoutMs,
+        rules: own.rules || (contact ? opts.contactRules : {}),
+        formRules: own.formRules || (contact ? opts.contactFormRules : []),
+        messages: Object.assign({}, opts.messages, own.messages),
+        draftKey: own.draftKey || (contact ? opts.contactDraftKey : `${opts.formDraftKeyPrefix}${key}`),
+        enableDraft: own.enableDraft !== false,
+        draftTtlMs: own.draftTtlMs !== undefined ? own.draftTtlMs : opts.draftTtlMs,
+        draftRestore: own.draftRestore || opts.draftRestore,
+        draftSync: own.draftSync !== undefined ? !!own.draftSync : opts.draftSync,
+        enableOutbox: own.enableOutbox !== undefined ? !!own.enableOutbox : opts.enableOutbox,
+        spam: Object.assign({}, DEFAULTS.spam, opts.spam, own.spam),
+      };
+    }
+
+    /**
+     * Enhance one form: validation, drafts, transport submission and outbox fallback.
+     * Returns a controller { key, form, config, teardown }; each form owns its listeners
+     * so it can be torn down on its own.
+     * @param {HTMLFormElement} form
+     * @param {string} key
+     * @param {Object} [overrides] per-form config (see formConfig)
+     */
+    function enhanceForm(form, key, overrides) {
+      const config = formConfig(form, key, overrides);
+      let messages = config.messages; // overrides on top of the active locale bundle
+      const msg = (name, params) => I18n.t(name, params, messages);
+      const listeners = createListenerGroup();
+      const dom = createMutationJournal(); // everything this form's enhancement adds or changes
+      const ctl = { key, form, config, overrides, draft: null, pendingSubmit: null, teardown: null };
+
+      // The field's own error element: one it points at through aria-describedby (a .form-error,
+      // .field-error or #<id>-error, as server-rendered pages have), else a .form-error beside it
+      function findErrorEl(field) {
+        const described = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        for (let i = 0; i < described.length; i++) {
+          const el = byId(described[i]);
+          if (el && (el.matches(ERROR_EL_SELECTOR) || (field.id && el.id === `${field.id}-error`))) return el;
+        }
+        return field.parentElement && field.parentElement.querySelector('.form-error');
+      }
+
+      // Prepare UI for inline error messages
+      function ensureErrorEl(field) {
+        if (!field) return null;
+        let err = findErrorEl(field);
+        if (!err) {
+          err = document.createElement('div');
+          err.className = 'form-error';
+          err.setAttribute('aria-live', 'polite');
+          dom.insert(err, field.parentElement);
+        }
+        return err;
+      }
+
+      // Fields whose current error came from the server (not re-rendered on locale change)
+      const serverErrored = new WeakSet();
+
+      function clearError(field) {
+        if (!field) return;
+        serverErrored.delete(field);
+        dom.setAttr(field, 'aria-invalid', null);
+        dom.setText(findErrorEl(field), '');
+      }
+
+      function showError(field, message) {
+        if (!field) return;
+        dom.setAttr(field, 'aria-invalid', 'true');
+        dom.setText(ensureErrorEl(field), message);
+      }
+
+      function getFields() {
+        return Array.from(form.elements).filter(isValidatableField);
+      }
+
+      function rulesFor(field) {
+        const configured = (config.rules || {})[fieldKey(field)] || {};
+        const declared = readFieldRules(field);
+        return Object.assign(declared, configured, { messages: Object.assign({}, declared.messages, configured.messages) });
+      }
+
+      function fieldLabel(field) {
+        const label = field.labels && field.labels[0];
+        return label ? label.textContent.trim() : fieldKey(field);
+      }
+
+      // Resolve error copy through the form's overrides and the locale bundle so it stays configurable
+      function ruleMessage(field, rules, rule, params) {
+        const key = fieldKey(field).replace(/[-_\s]+(\w)/g, (m, c) => c.toUpperCase());
+        const specific = `${key}${rule.charAt(0).toUpperCase()}${rule.slice(1)}`;
+        const template = rules.messages[rule] ||
+          I18n.lookup(specific, messages) ||
+          I18n.lookup(VALIDATION_MESSAGE_KEYS[rule], messages) ||
+          I18n.lookup('fieldInvalid', messages);
+        return I18n.format(template, Object.assign({ label: fieldLabel(field) }, params));
+      }
+
+      /**
+       * Validate one field. Returns an error message, null, or a Promise of either
+       * when the field has an async `validate` function.
+       */
+      function validateField(field, values) {
+        const rules = rulesFor(field);
+        const value = fieldValue(field);
+        const failed = checkFieldRules(value, rules, values);
+        if (failed) return ruleMessage(field, rules, failed.rule, failed.params);
+        if (typeof rules.validate !== 'function' || !value) return null;
+        const toMessage = out => {
+          const outcome = validatorOutcome(out);
+          return outcome === true ? ruleMessage(field, rules, 'validate', {}) : outcome;
+        };
+        const onError = e => {
+          formLog.warn('Validator threw; treating field as valid', fieldKey(field), e);
+          return null;
+        };
+        try {
+          const out = rules.validate(value, { field, form, values });
+          return out && typeof out.then === 'function' ? out.then(toMessage, onError) : toMessage(out);
+        } catch (e) {
+          return onError(e);
+        }
+      }
+
+      // Cross-field rules; each returns { fieldName: message } (or a Promise of it)
+      function runFormRules(values, fields) {
+        return (config.formRules || []).map(rule => {
+          try {
+            return rule(values, { form, fields });
+          } catch (e) {
+            formLog.warn('Form rule threw', e);
+            return null;
+          }
+        });
+      }
+
+      /**
+       * Validate `only` (default: every field). Returns [{ field, message }] synchronously when no
+       * async validator is involved, otherwise a Promise of that array.
+       */
+      function validateForm(only) {
+        const fields = getFields();
+        const targets = only || fields;
+        const values = serializeForm(form);
+        const fieldResults = targets.map(field => validateField(field, values));
+        const formResults = runFormRules(values, fields);
+
+        const collect = (perField, perForm) => {
+          const errors = [];
+          targets.forEach((field, i) => {
+            if (perField[i]) errors.push({ field, message: perField[i] });
+          });
+          perForm.forEach(map => {
+            Object.keys(map || {}).forEach(name => {
+              const field = fields.find(f => fieldKey(f) === name);
+              if (!field || targets.indexOf(field) === -1 || !map[name]) return;
+              if (!errors.some(e => e.field === field)) errors.push({ field, message: String(map[name]) });
+            });
+          });
+          // keep document order so focus lands on the first invalid field
+          return errors.sort((a, b) => fields.indexOf(a.field) - fields.indexOf(b.field));
+        };
+
+        const settledFields = settleMaybeAsync(fieldResults);
+        const settledForm = settleMaybeAsync(formResults);
+        if (Array.isArray(settledFields) && Array.isArray(settledForm)) return collect(settledFields, settledForm);
+        return Promise.all([settledFields, settledForm]).then(([a, b]) => collect(a, b));
+      }
+
+      function clearAllErrors() {
+        getFields().forEach(clearError);
+      }
+
+      // The polite status element (success + pending messages): the page's own (.form-status,
+      // [data-form-status]) when it has one, else a .form-success created on first use
+      function findStatusEl() {
+        return form.querySelector(STATUS_EL_SELECTOR);
+      }
+
+      function ensureStatusEl() {
+        let successEl = findStatusEl();
+        if (!successEl) {
+          successEl = document.createElement('div');
+          successEl.className = 'form-success';
+          successEl.setAttribute('role', 'status');
+          successEl.setAttribute('aria-live', 'polite');
+          dom.insert(successEl, form, form.firstChild);
+        }
+        return successEl;
+      }
+
+      // Polite status text, re-rendered on locale change
+      function showStatus(name) {
+        const el = ensureStatusEl();
+        dom.record(el);
+        I18n.bind(el, () => msg(name));
+      }
+
+      function showFormSuccess() {
+        showStatus('successMessage');
+      }
+
+      // Form-level message for submission failures (field errors go through showError).
+      // `message` is literal text or a function re-run when the locale changes.
+      function showFormAlert(message) {
+        let alertEl = form.querySelector('.form-alert');
+        if (!alertEl) {
+          if (!message) return;
+          alertEl = document.createElement('div');
+          alertEl.className = 'form-alert';
+          alertEl.setAttribute('role', 'alert');
+          dom.insert(alertEl, form, form.firstChild);
+        }
+        if (typeof message !== 'function') {
+          dom.setText(alertEl, message || '');
+          return;
+        }
+        dom.record(alertEl);
+        I18n.bind(alertEl, message);
+      }
+
+      function clearFormMessages() {
+        dom.setText(findStatusEl(), '');
+        showFormAlert('');
+      }
+
+      function setPending(pending) {
+        const buttons = form.querySelectorAll('button[type="submit"], input[type="submit"], button:not([type])');
+        buttons.forEach(btn => dom.setAttr(btn, 'disabled', pending));
+        dom.setAttr(form, 'aria-busy', pending ? 'true' : null);
+        dom.toggleClass(form, 'is-submitting', pending);
+      }
+
+      // Draft fields: everything the user can type into, except secrets
+      function draftFields() {
+        return getFields().filter(f => (f.type || '').toLowerCase() !== 'password');
+      }
+
+      function readDraftValues() {
+        const fields = {};
+        draftFields().forEach(f => {
+          const type = (f.type || '').toLowerCase();
+          if (type === 'checkbox' || type === 'radio') {
+            if (f.checked) fields[fieldKey(f)] = f.value;
+            else if (!(fieldKey(f) in fields)) fields[fieldKey(f)] = '';
+          } else {
+            fields[fieldKey(f)] = f.value || '';
+          }
+        });
+        return fields;
+      }
+
+      function hasDraftContent(record) {
+        return !!record && Object.keys(record.fields).some(k => record.fields[k]);
+      }
+
+      /**
+       * Write draft values into the form.
+       * @param {Object} record draft record
+       * @param {Object} [how] { onlyEmpty: skip fields that already have a value, skip: element to leave alone }
+       * @returns {HTMLElement|null} first field that received a value
+       */
+      function applyDraft(record, how) {
+        how = how || {};
+        let first = null;
+        draftFields().forEach(f => {
+          const name = fieldKey(f);
+          if (f === how.skip || !Object.prototype.hasOwnProperty.call(record.fields, name)) return;
+          const value = record.fields[name];
+          const type = (f.type || '').toLowerCase();
+          if (type === 'checkbox' || type === 'radio') {
+            if (how.onlyEmpty && fieldValue(f)) return;
+            f.checked = f.value === value;
+          } else {
+            if (how.onlyEmpty && f.value) return;
+            if (f.value === value) return;
+            f.value = value;
+          }
+          if (!first && value) first = f;
+        });
+        return first;
+      }
+
+      let restorePrompt = null; // { el, record } while the restore banner is shown
+
+      function persistDraft() {
+        // leave the stored draft alone until the user has answered the restore prompt
+        if (!config.enableDraft || restorePrompt || !consent.allows('preferences')) return;
+        try {
+          const draft = { v: DRAFT_SCHEMA_VERSION, fields: readDraftValues(), ts: Date.now() };
+          if (!hasDraftContent(draft)) {
+            localStorage.removeItem(config.draftKey);
+            ctl.draft = null;
+            return;
+          }
+          localStorage.setItem(config.draftKey, JSON.stringify(draft));
+          ctl.draft = draft;
+          formLog.debug(`Form "${key}" draft saved`, draft);
+          Events.emit('draft-saved', { form, key, draft }, form);
+        } catch (e) {
+          formLog.warn('Could not save draft to localStorage', e);
+        }
+      }
+
+      function closeRestorePrompt() {
+        if (!restorePrompt) return;
+        const el = restorePrompt.el;
+        restorePrompt = null;
+        if (el.parentNode) el.parentNode.removeChild(el);
+      }
+
+      // Accessible "restore your unsent message?" banner with Restore / Discard actions
+      function showRestorePrompt(record) {
+        const el = document.createElement('div');
+        el.className = 'form-draft-banner';
+        el.setAttribute('role', 'group');
+        const text = document.createElement('p');
+        text.className = 'form-draft-banner__text';
+        text.id = `${key.replace(/[^\w-]/g, '-')}-draft-prompt`;
+        text.setAttribute('aria-live', 'polite');
+        I18n.bind(text, () => {
+          let time = '';
+          try {
+            time = new Date(record.ts).toLocaleString(I18n.getLocale());
+          } catch (e) { /* ignore */ }
+          return msg('draftRestorePrompt', { time });
+        });
+        el.setAttribute('aria-labelledby', text.id);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn btn-primary form-draft-banner__restore';
+        I18n.bind(restoreBtn, () => msg('draftRestoreAction'));
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'btn btn-ghost form-draft-banner__discard';
+        I18n.bind(discardBtn, () => msg('draftDiscardAction'));
+
+        el.appendChild(text);
+        el.appendChild(restoreBtn);
+        el.appendChild(discardBtn);
+        dom.insert(el, form, form.firstChild);
+        restorePrompt = { el, record };
+
+        listeners.add(restoreBtn, 'click', () => {
+          const current = restorePrompt ? restorePrompt.record : record;
+          closeRestorePrompt();
+          const first = applyDraft(current);
+          ctl.draft = current;
+          persistDraft(); // merge anything typed while the prompt was open
+          formLog.debug(`Form "${key}" draft restored`, current);
+          const target = first || draftFields()[0];
+          if (target) {
+            try { target.focus(); } catch (_) { /* ignore */ }
+          }
+        }, false);
+        listeners.add(discardBtn, 'click', () => {
+          closeRestorePrompt();
+          persistDraft(); // replaces the old draft with whatever was typed while the prompt was open
+          const target = draftFields()[0];
+          if (target) {
+            try { target.focus(); } catch (_) { /* ignore */ }
+          }
+          formLog.debug(`Form "${key}" draft discarded`);
+        }, false);
+      }
+
+      function restoreDraft() {
+        if (!config.enableDraft || config.draftRestore === 'off' || !consent.allows('preferences')) return;
+        let record = null;
+        try {
+          record = loadDraftRecord(config.draftKey, config.draftTtlMs);
+        } catch (e) {
+          formLog.warn('Could not restore draft from localStorage', e);
+          return;
+        }
+        if (!hasDraftContent(record)) return;
+        ctl.draft = record;
+        if (config.draftRestore === 'prompt') {
+          showRestorePrompt(record);
+          return;
+        }
+        // 'auto': never overwrite what the browser (or the user) already put in a field
+        applyDraft(record, { onlyEmpty: true });
+        formLog.debug(`Form "${key}" draft restored`, record);
+      }
+
+      // Another tab saved or cleared this draft
+      function onStorage(e) {
+        if (e.key !== config.draftKey) return;
+        if (e.storageArea && typeof localStorage !== 'undefined' && e.storageArea !== localStorage) return;
+        let record = null;
+        try {
+          record = e.newValue ? migrateDraftRecord(JSON.parse(e.newValue)) : null;
+        } catch (_) {
+          record = null;
+        }
+        if (restorePrompt) {
+          if (hasDraftContent(record)) restorePrompt.record = record;
+          else closeRestorePrompt(); // sent or discarded elsewhere
+          return;
+        }
+        ctl.draft = record;
+        if (!record) return;
+        // the field being edited here wins; everything else follows the other tab
+        const active = activeElement();
+        applyDraft(record, { skip: form.contains(active) ? active : null });
+        formLog.debug(`Form "${key}" draft synced from another tab`);
+      }
+
+      const debouncedPersist = debounce(persistDraft, opts.formDebounceMs);
+
+      // Input handler to persist drafts and clear related errors
+      function onInput(e) {
+        const field = e.target;
+        if (!field) return;
+        if (isValidatableField(field)) touched.add(field);
+        clearError(field);
+        debouncedPersist();
+      }
+
+      // Validate a field when focus leaves it, once the user has interacted with it
+      const touched = new WeakSet();
+      const blurTokens = new WeakMap();
+      function onFieldBlur(e) {
+        const field = e.target;
+        if (!isValidatableField(field)) return;
+        if (!touched.has(field) && field.getAttribute('aria-invalid') !== 'true') return;
+        const token = {};
+        blurTokens.set(field, token);
+        const apply = errors => {
+          if (blurTokens.get(field) !== token) return; // a newer blur/input superseded this result
+          const err = errors.find(x => x.field === field);
+          if (err) showError(field, err.message);
+          else clearError(field);
+        };
+        const result = validateForm([field]);
+        if (Array.isArray(result)) apply(result);
+        else result.then(apply, ex => formLog.warn('Blur validation failed', ex));
+      }
+
+      // Map server-side field errors back onto the form; returns the first field marked
+      function showServerErrors(fieldErrors) {
+        let first = null;
+        Object.keys(fieldErrors || {}).forEach(name => {
+          const field = form.elements.namedItem(name);
+          const el = field && typeof field.length === 'number' && !field.tagName ? field[0] : field;
+          if (!el) {
+            formLog.debug('Server error for unknown field', name);
+            return;
+          }
+          showError(el, fieldErrors[name]);
+          serverErrored.add(el);
+          if (!first) first = el;
+        });
+        return first;
+      }
+
+      function clearDraft() {
+        debouncedPersist.cancel();
+        try {
+          localStorage.removeItem(config.draftKey);
+          ctl.draft = null;
+        } catch (e) {
+          formLog.warn('Could not remove draft', e);
+        }
+      }
+
+      function onSubmitSuccess(result, payload) {
+        // remove draft only once the transport accepted the message
+        clearDraft();
+        showFormSuccess();
+        try {
+          form.reset();
+        } catch (e) { /* ignore */ }
+
+        formLog.info(result && result.simulated ? `Form "${key}" validated and submitted (simulated)` : `Form "${key}" submitted`);
+        Events.emit('form-submitted', { form, key, payload, result, queued: false }, form);
+      }
+
+      function onSubmitFailure(result, error) {
+        const first = result ? showServerErrors(result.fieldErrors) : null;
+        let message = () => msg('submitError');
+        if (error && error.code === 'timeout') message = () => msg('submitTimeout');
+        else if (result && result.message && typeof result.message === 'string') message = result.message;
+        showFormAlert(message);
+        if (first) {
+          try { first.focus(); } catch (_) { /* ignore */ }
+        }
+        if (error) formLog.warn(`Form "${key}" submission failed`, error);
+        else formLog.warn(`Form "${key}" rejected by server`, result && result.status, result && result.fieldErrors);
+        Events.emit('form-failed', { form, key, result, error }, form);
+      }
+
+      // Keep the message for a later retry instead of losing it
+      async function queueSubmission(payload, target, reason) {
+        const why = reason && (reason.message || reason.status);
+        try {
+          await outbox.enqueue(payload, target, why ? String(why) : null, key);
+        } catch (e) {
+          formLog.warn('Outbox: could not queue form message', e);
+          onSubmitFailure(null, reason instanceof Error ? reason : null);
+          return;
+        }
+        clearDraft();
+        showStatus('queuedMessage');
+        try {
+          form.reset();
+        } catch (e) { /* ignore */ }
+        Events.emit('form-submitted', { form, key, payload, result: null, queued: true }, form);
+      }
+
+      // --- Spam protection -------------------------------------------------------
+      const spam = config.spam;
+      const renderedAt = Date.now();
+      let honeypot = null;
+
+      // Visually hidden and skipped by assistive tech and tab order, so only bots fill it in
+      function injectHoneypot() {
+        if (!spam.honeypot || !spam.honeypotField) return;
+        if (form.elements.namedItem(spam.honeypotField)) {
+          formLog.warn(`Form "${key}" already has a "${spam.honeypotField}" field; honeypot not added`);
+          return;
+        }
+        const wrap = document.createElement('div');
+        wrap.className = 'form-hp';
+        wrap.setAttribute('aria-hidden', 'true');
+        wrap.style.cssText = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+        const label = document.createElement('label');
+        label.textContent = 'Leave this field empty';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = spam.honeypotField;
+        input.tabIndex = -1;
+        input.autocomplete = 'off';
+        input.setAttribute('data-validate', 'false'); // keeps it out of validation and drafts
+        label.appendChild(input);
+        wrap.appendChild(label);
+        dom.insert(wrap, form);
+        honeypot = { wrap, input };
+      }
+
+      // Honeypot content and time since render
+      function detectBot() {
+        if (honeypot && honeypot.input.value) return 'honeypot';
+        if (spam.minSubmitMs > 0 && Date.now() - renderedAt < spam.minSubmitMs) return 'too-fast';
+        return null;
+      }
+
+      // Report the rejection but answer like a normal successful submission
+      function blockSpam(reason) {
+        formLog.warn(`Form "${key}" submission blocked as spam (${reason})`);
+        Events.emit('spam-blocked', { form, key, reason }, form);
+        clearDraft();
+        showFormSuccess();
+        try {
+          form.reset();
+        } catch (e) { /* ignore */ }
+      }
+
+      // Ask the challenge provider; resolves false to reject or an object of extra payload fields
+      async function runChallenge(payload) {
+        const out = await spam.challenge(payload, { form, key });
+        if (out === false) return false;
+        return out && typeof out === 'object' ? out : {};
+      }
+
+      let validating = false; // also covers a running spam challenge
+      async function handleSubmit(ev) {
+        ev.preventDefault();
+        // ignore double submits while validating or while a request is in flight
+        if (ctl.pendingSubmit || validating) return;
+        clearAllErrors();
+        clearFormMessages();
+        let errors = validateForm();
+        if (!Array.isArray(errors)) {
+          validating = true;
+          setPending(true);
+          try {
+            errors = await errors;
+          } catch (e) {
+            formLog.warn('Validation failed', e);
+            errors = [];
+          }
+          validating = false;
+          setPending(false);
+          if (ctl.released) return;
+        }
+        if (errors.length) {
+          // show errors and focus first
+          errors.forEach(err => showError(err.field, err.message));
+          Events.emit('form-invalid', {
+            form,
+            key,
+            errors: errors.map(err => ({ name: fieldKey(err.field), field: err.field, message: err.message })),
+          }, form);
+          const first = errors[0].field;
+          try { first.focus(); } catch (_) { /* ignore */ }
+          return;
+        }
+
+        // Spam checks run on otherwise valid submissions so people still see field errors
+        const now = Date.now();
+        const botReason = detectBot() || (isRateLimited(spam.rateLimitKey, key, spam.rateLimit, now) ? 'rate-limit' : null);
+        if (botReason) {
+          blockSpam(botReason);
+          return;
+        }
+
+        let payload = serializeForm(form);
+        if (honeypot) delete payload[spam.honeypotField];
+        if (typeof spam.challenge === 'function') {
+          validating = true;
+          setPending(true);
+          let extra;
+          try {
+            extra = await runChallenge(payload);
+          } catch (e) {
+            extra = e instanceof Error ? e : new Error(String(e));
+          }
+          validating = false;
+          setPending(false);
+          if (ctl.released) return;
+          if (extra === false) {
+            blockSpam('challenge');
+            return;
+          }
+          if (extra instanceof Error) {
+            onSubmitFailure(null, extra);
+            return;
+          }
+          payload = Object.assign(payload, extra);
+        }
+
+        // Host code may veto the submission or swap/augment detail.payload
+        const before = { form, key, payload };
+        if (!Events.emit('before-submit', before, form)) {
+          formLog.info(`Form "${key}" submission cancelled by a before-submit handler`);
+          return;
+        }
+        payload = before.payload;
+        recordSubmission(spam.rateLimitKey, key, spam.rateLimit, now);
+
+        const target = formTarget(form);
+        if (config.enableOutbox && !isOnline()) {
+          await queueSubmission(payload, target, null);
+          return;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : { signal: undefined, abort() {} };
+        const pending = { controller, release: () => setPending(false) };
+        ctl.pendingSubmit = pending;
+        setPending(true);
+        if (msg('sending')) showStatus('sending');
+
+        let result = null;
+        let error = null;
+        try {
+          result = await runTransport(resolveTransport(config.transport), payload, {
+            form,
+            endpoint: config.endpoint,
+          }, config.timeoutMs, controller);
+        } catch (e) {
+          error = e;
+        }
+
+        // teardown (or a newer init) took over while we were waiting
+        if (ctl.pendingSubmit !== pending) return;
+        ctl.pendingSubmit = null;
+        setPending(false);
+        clearFormMessages();
+
+        if (result && result.ok) onSubmitSuccess(result, payload);
+        else if (config.enableOutbox && isRetryableFailure(result, error)) await queueSubmission(payload, target, error || result);
+        else onSubmitFailure(result, error);
+      }
+
+      // Locale or messages changed: re-run validation on fields showing a client-side error so the copy follows
+      function relocalize() {
+        messages = config.messages = formConfig(form, key, overrides).messages;
+        const invalid = getFields().filter(f => f.getAttribute('aria-invalid') === 'true' && !serverErrored.has(f));
+        if (!invalid.length) return;
+        const apply = errors => {
+          if (ctl.released) return;
+          invalid.forEach(field => {
+            const err = errors.find(x => x.field === field);
+            if (err) showError(field, err.message);
+          });
+        };
+        const result = validateForm(invalid);
+        if (Array.isArray(result)) apply(result);
+        else result.then(apply, e => formLog.warn('Re-validation after locale change failed', e));
+      }
+      ctl.relocalize = relocalize;
+      // consent for drafts was withdrawn
+      ctl.forgetDraft = () => {
+        closeRestorePrompt();
+        clearDraft();
+      };
+
+      function teardownForm() {
+        if (ctl.released) return;
+        ctl.released = true;
+        listeners.removeAll();
+        debouncedPersist.cancel();
+        closeRestorePrompt();
+        // Abort an in-flight submission; its completion handler will see it was superseded
+        if (ctl.pendingSubmit) {
+          try { ctl.pendingSubmit.controller.abort(); } catch (_) { /* ignore */ }
+          try { ctl.pendingSubmit.release(); } catch (_) { /* ignore */ }
+          ctl.pendingSubmit = null;
+        }
+        I18n.release(form);
+        dom.revert();
+        state.forms.delete(form);
+        formLog.debug(`Form "${key}" torn down`);
+      }
+      ctl.teardown = teardownForm;
+
+      injectHoneypot();
+
+      // Restore any saved draft
+      restoreDraft();
+      if (config.enableDraft && config.draftSync) listeners.add(global, 'storage', onStorage, false);
+
+      // Attach handlers
+      listeners.add(form, 'input', onInput, false);
+      listeners.add(form, 'change', onInput, false);
+      listeners.add(form, 'submit', handleSubmit, false);
+      listeners.add(form, 'reset', () => {
+        closeRestorePrompt();
+        clearDraft();
+      }, false);
+      if (opts.validateOnBlur) listeners.add(form, 'focusout', onFieldBlur, false);
+
+      state.forms.set(form, ctl);
+      formLog.debug(`Form "${key}" enhanced`);
+      return ctl;
+    }
+
+    /**
+     * Enhance every form on the page: the contact form (contactFormSelector, when
+     * enableContactForm) plus anything matching formSelector (default [data-siteapp-form]).
+     */
+    function setupForms() {
+      const selectors = [];
+      if (opts.enableContactForm && opts.contactFormSelector) selectors.push(opts.contactFormSelector);
+      if (opts.formSelector) selectors.push(opts.formSelector);
+      if (!selectors.length) return;
+
+      let forms = [];
+      try {
+        forms = queryAll(selectors.join(', '));
+      } catch (e) {
+        formLog.warn('Invalid form selector', selectors.join(', '), e);
+        return;
+      }
+      if (!forms.length) {
+        formLog.debug('No forms found for', selectors.join(', '));
+        return;
+      }
+
+      const declared = forms.map(formKeyOf).filter(Boolean);
+      forms.forEach(form => {
+        if (form.tagName !== 'FORM' || state.forms.has(form) || inScopedApp(form)) return;
+        let key = formKeyOf(form);
+        if (!key) {
+          key = unusedFormKey(declared);
+          formLog.warn(`Form without id or data-siteapp-form; using unstable key "${key}" for its draft`);
+        }
+        try {
+          enhanceForm(form, key);
+        } catch (e) {
+          formLog.error(`Could not enhance form "${key}"`, e);
+        }
+      });
+    }
+
+    // form-0, form-1, ...: the first one neither an enhanced form nor `reserved` uses
+    function unusedFormKey(reserved) {
+      const taken = new Set((reserved || []).concat(Array.from(state.forms.values()).map(ctl => ctl.key)));
+      let n = 0;
+      while (taken.has(`form-${n}`)) n++;
+      return `form-${n}`;
+    }
+
+    function findFormController(target) {
+      if (!target) return null;
+      if (typeof target === 'string') {
+        for (const ctl of state.forms.values()) {
+          if (ctl.key === target) return ctl;
+        }
+        // not a key: try it as a selector (a queued entry's key may be neither)
+        let el = null;
+        try {
+          el = query(target);
+        } catch (_) {
+          return null;
+        }
+        return el ? state.forms.get(el) || null : null;
+      }
+      return state.forms.get(target) || null;
+    }
+
+    // Public per-form API (SiteApp.forms)
+    const formsApi = {
+      /**
+       * Enhance a form that was added after init (or re-enhance it with new config).
+       * @param {HTMLFormElement|string} target form element or selector
+       * @param {Object} [config] per-form config, same shape as opts.forms[key]
+       */
+      enhance(target, config) {
+        const form = typeof target === 'string' ? query(target) : target;
+        if (!form || form.tagName !== 'FORM') throw new TypeError('SiteApp.forms.enhance expects a form element or selector');
+        if (!inScope(form)) throw new RangeError('SiteApp.forms.enhance: the form is outside this app\'s root');
+        const existing = state.forms.get(form);
+        if (existing) existing.teardown();
+        const key = formKeyOf(form) || unusedFormKey();
+        const ctl = enhanceForm(form, key, config);
+        ctl.manual = true; // configure() re-enhances it with the same config
+        return ctl;
+      },
+      get(target) {
+        const ctl = findFormController(target);
+        return ctl ? { key: ctl.key, form: ctl.form, config: ctl.config } : null;
+      },
+      list() {
+        return Array.from(state.forms.values()).map(ctl => ({ key: ctl.key, form: ctl.form, config: ctl.config }));
+      },
+      teardown(target) {
+        const ctl = findFormController(target);
+        if (!ctl) return false;
+        ctl.teardown();
+        return true;
+      },
+    };
+
+    /**
+     * Stepper
+     *
+     * Carousel-style walkthrough for a container of steps. Adopts existing markup (prev/next
+     * buttons, a tablist of indicators) and builds whatever is missing. Each instance owns its
+     * listeners and autoplay timer; destroy() removes them and restores the markup, and
+     * SiteApp.teardown() destroys every instance.
+     */
+    const STEPPER_DEFAULTS = {
+      selector: '[data-stepper]', // containers the built-in plugin enhances on init
+      stepSelector: '.workflow-step, [data-step]',
+      prevSelector: '.workflow-prev, .workflow__btn--prev, [data-stepper-prev]',
+      nextSelector: '.workflow-next, .workflow__btn--next, [data-stepper-next]',
+      indicatorsSelector: '.workflow-indicators, .workflow__indicators, [data-stepper-indicators]',
+      indicatorSelector: '.workflow-indicator, .workflow__indicator, [data-stepper-indicator]',
+      loop: true, // next() on the last step wraps to the first
+      // Auto-advance starts on init unless this is false (per container: data-autoplay="false")
+      // or the user prefers reduced motion; the play/pause toggle and pause()/resume() override it.
+      autoplay: true,
+      autoplayMs: 6000, // per step; 0 disables auto-advance and its controls (per container: data-interval)
+      autoplayToggleSelector: '.workflow-toggle-auto, #workflow-toggle-auto, [data-stepper-autoplay]', // built when missing
+      autoplayProgress: true, // bar showing the time left on the current step
+      swipe: true, // pointer swipe / drag between steps (touch, pen and mouse)
+      swipeDistance: 50, // px dragged to change step...
+      swipeVelocity: 0.3, // ...or a flick faster than this (px/ms)
+      swipeSnapMs: 200, // snap-back animation
+      // Reflect the active step in the URL: '' (off), 'hash' (#<step id>) or 'query' (?<param>=<n>).
+      // Per container: data-stepper-link="hash|query" and data-stepper-param="name".
+      deepLink: '',
+      linkParam: '', // query parameter name; defaults to the container id, then 'step'
+      linkHistory: 'push', // user moves add a history entry ('push') or update the current one ('replace')
+    };
+    const SWIPE_SLOP = 8; // px moved before deciding between a horizontal drag and a vertical scroll
+    const stepperInternals = new WeakMap(); // instance -> { stepIndex(el), show(index) } for smooth scroll
+
+    function createStepper(container, o) {
+      const slides = Array.from(container.querySelectorAll(o.stepSelector));
+      if (!slides.length) {
+        demoLog.debug('Stepper: no steps found in container', container);
+        return null;
+      }
+      const uid = container.id || `stepper-${++stepperSeq}`;
+      const listeners = createListenerGroup();
+      const dom = createMutationJournal(); // reverted on destroy
+      const { setAttr, toggleClass } = dom;
+
+      function bindAttr(el, render, name) {
+        dom.record(el, name);
+        I18n.bind(el, render, name);
+      }
+      function makeButton(className, text) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = className;
+        btn.textContent = text;
+        return btn;
+      }
+
+      // Controls: reuse prev/next/indicators from the markup, build the missing ones
+      let prevBtn = container.querySelector(o.prevSelector);
+      let nextBtn = container.querySelector(o.nextSelector);
+      let indicatorsContainer = container.querySelector(o.indicatorsSelector);
+      if (!prevBtn || !nextBtn || !indicatorsContainer) {
+        const controls = document.createElement('div');
+        controls.className = 'workflow-controls';
+        if (!prevBtn) controls.appendChild(prevBtn = makeButton('workflow-prev', '\u2190'));
+        if (!indicatorsContainer) {
+          indicatorsContainer = document.createElement('div');
+          indicatorsContainer.className = 'workflow-indicators';
+          indicatorsContainer.setAttribute('role', 'tablist');
+          controls.appendChild(indicatorsContainer);
+        }
+        if (!nextBtn) controls.appendChild(nextBtn = makeButton('workflow-next', '\u2192'));
+        if (controls.children.length) dom.insert(controls, container);
+      }
+      if (!prevBtn.hasAttribute('aria-label')) bindAttr(prevBtn, () => I18n.t('stepPrev'), 'aria-label');
+      if (!nextBtn.hasAttribute('aria-label')) bindAttr(nextBtn, () => I18n.t('stepNext'), 'aria-label');
+
+      // Indicators (tabs): adopt them when they match the steps one to one, otherwise build our own
+      let indicatorButtons = Array.from(indicatorsContainer.querySelectorAll(o.indicatorSelector));
+      if (indicatorButtons.length !== slides.length) {
+        if (indicatorButtons.length) demoLog.warn(`Stepper "${uid}": ${indicatorButtons.length} indicators for ${slides.length} steps; rebuilding them`);
+        indicatorButtons.forEach(dom.detach);
+        indicatorButtons = slides.map((s, i) => {
+          const btn = makeButton('workflow-indicator', '');
+          btn.id = `${uid}-indicator-${i}`;
+          I18n.bind(btn, () => I18n.t('stepGoTo', { step: i + 1 }), 'title');
+          const label = document.createElement('span');
+          label.className = 'indicator-label';
+          I18n.bind(label, () => I18n.t('stepLabel', { step: i + 1 }));
+          btn.appendChild(label);
+          return dom.insert(btn, indicatorsContainer);
+        });
+      }
+      indicatorButtons.forEach((btn, i) => {
+        const s = slides[i];
+        // ensure the slide has an id
+        if (!s.id) setAttr(s, 'id', `${uid}-step-${i}`);
+        setAttr(btn, 'role', 'tab');
+        if (!btn.hasAttribute('aria-controls')) setAttr(btn, 'aria-controls', s.id);
+        if (!s.hasAttribute('role')) setAttr(s, 'role', 'tabpanel');
+        if (btn.id && !s.hasAttribute('aria-label') && !s.hasAttribute('aria-labelledby')) setAttr(s, 'aria-labelledby', btn.id);
+      });
+
+      // announcer for screen readers
+      let announcer = container.querySelector('.demo-announcer');
+      if (!announcer) {
+        announcer = document.createElement('div');
+        announcer.className = 'demo-announcer';
+        announcer.setAttribute('aria-live', 'polite');
+        announcer.setAttribute('aria-atomic', 'true');
+        announcer.style.position = 'absolute';
+        announcer.style.left = '-9999px';
+        announcer.style.width = '1px';
+        announcer.style.height = '1px';
+        announcer.style.overflow = 'hidden';
+        dom.insert(announcer, container);
+      } else {
+        dom.record(announcer);
+      }
+
+      // Accessibility: make the container focusable for keyboard handling
+      if (!container.hasAttribute('tabindex')) setAttr(container, 'tabindex', '0');
+
+      let currentIndex = -1;
+      let destroyed = false;
+
+      // Deep links: which step the URL points at, and writing the active step back
+      const linkMode = container.getAttribute('data-stepper-link') || o.deepLink;
+      const linkParam = container.getAttribute('data-stepper-param') || o.linkParam || container.id || 'step';
+      if (linkMode && linkMode !== 'hash' && linkMode !== 'query') demoLog.warn(`Stepper "${uid}": unknown deepLink mode "${linkMode}"`);
+
+      function readLink() {
+        try {
+          if (linkMode === 'hash') {
+            const id = decodeURIComponent(location.hash.slice(1));
+            return id ? slides.findIndex(s => s.id === id) : -1;
+          }
+          if (linkMode === 'query') {
+            const n = parseInt(new URL(location.href).searchParams.get(linkParam), 10);
+            return n >= 1 && n <= slides.length ? n - 1 : -1;
+          }
+        } catch (e) {
+          demoLog.debug('Stepper: could not read step from URL', e);
+        }
+        return -1;
+      }
+
+      function writeLink(index, mode) {
+        if ((linkMode !== 'hash' && linkMode !== 'query') || !mode) return;
+        try {
+          const url = new URL(location.href);
+          if (linkMode === 'hash') url.hash = slides[index].id;
+          else url.searchParams.set(linkParam, String(index + 1));
+          if (url.href === location.href) return;
+          // keep other scripts' history state; remember our step so popstate can restore it
+          const prev = history.state && typeof history.state === 'object' ? history.state : {};
+          const steps = Object.assign({}, prev.siteappSteps, { [linkParam]: index });
+          const entry = Object.assign({}, prev, { siteappSteps: steps });
+          if (mode === 'replace') history.replaceState(entry, '', url.href);
+          else history.pushState(entry, '', url.href);
+        } catch (e) {
+          demoLog.debug('Stepper: could not update URL', e);
+        }
+      }
+
+      function updateActive(index, how) {
+        how = how || {};
+        index = Math.max(0, Math.min(slides.length - 1, index));
+        if (index === currentIndex) return;
+        const previous = currentIndex;
+        slides.forEach((s, idx) => {
+          const active = idx === index;
+          toggleClass(s, 'is-active', active);
+          setAttr(s, 'aria-hidden', active ? 'false' : 'true');
+          if (active && how.focus) {
+            // user-driven moves bring the step's heading into focus (autoplay never steals focus)
+            const heading = s.querySelector('h2, h3, h4') || s;
+            try { heading.focus({ preventScroll: true }); } catch (_) { try { heading.focus(); } catch (__) { /* ignore */ } }
+          }
+        });
+
+        indicatorButtons.forEach((b, idx) => {
+          const sel = idx === index;
+          setAttr(b, 'aria-selected', sel ? 'true' : 'false');
+          setAttr(b, 'tabindex', sel ? '0' : '-1');
+          toggleClass(b, 'is-active', sel);
+        });
+
+        currentIndex = index;
+        if (how.history) writeLink(index, how.history);
+        Events.emit('step-change', {
+          index,
+          previous: previous === -1 ? null : previous,
+          total: slides.length,
+          step: slides[index],
+          container,
+          stepper: instance,
+        }, container);
+        // Announce the newly active step (re-announced in the new language on setLocale)
+        const params = { step: index + 1, total: slides.length };
+        try {
+          params.title = (slides[index].querySelector('h2, h3, h4') || slides[index]).textContent.trim();
+        } catch (e) { /* announce without the title */ }
+        I18n.bind(announcer, () => I18n.t(params.title ? 'stepStatusTitled' : 'stepStatus', params));
+        // update styling hook for container
+        setAttr(container, 'data-active', String(index));
+        if (previous !== -1) restartCycle();
+      }
+
+      function move(delta, how) {
+        const total = slides.length;
+        let index = currentIndex + delta;
+        if (o.loop) index = (index + total) % total;
+        updateActive(index, how);
+      }
+
+      // Autoplay. `playing` is the on/off state the toggle shows; only the toggle, pause() and
+      // resume() change it, so hover, focus, a hidden page or a drag merely hold it (and the
+      // progress bar) until they end. prefers-reduced-motion keeps it off unless the user turns
+      // it on. Each step gets a full interval, and auto moves replace rather than add history.
+      const auto = { history: 'replace' };
+      const intervalAttr = container.getAttribute('data-interval');
+      let interval = o.autoplayMs;
+      if (intervalAttr !== null) {
+        const parsed = Number(intervalAttr);
+        if (intervalAttr.trim() !== '' && isFinite(parsed) && parsed >= 0) interval = parsed;
+        else demoLog.warn(`Stepper "${uid}": ignoring invalid data-interval "${intervalAttr}"`);
+      }
+      const autoplayAttr = container.getAttribute('data-autoplay');
+      const autoplayWanted = autoplayAttr === null ? !!o.autoplay : autoplayAttr !== 'false';
+      const motionQuery = typeof global.matchMedia === 'function' ? global.matchMedia('(prefers-reduced-motion: reduce)') : null;
+      let reducedMotion = !!(motionQuery && motionQuery.matches);
+      let playing = false;
+      let userChose = false; // once the user picks play or pause, motion preference changes leave it alone
+      let autoplayTimer = null;
+      let cycleStart = 0;
+      let remaining = interval;
+      let autoplayState = '';
+      let unwatchMotion = null;
+      const holds = new Set();
+
+      let toggle = null;
+      let toggleText = false; // the toggle's text shows the state (kept in sync)
+      let progressBar = null;
+      if (interval > 0) {
+        toggle = container.querySelector(o.autoplayToggleSelector);
+        if (toggle) {
+          // adopted toggles that are plain text ("Auto-advance: Off") get their text kept in sync
+          toggleText = !toggle.children.length;
+          if (toggleText) dom.record(toggle);
+        } else {
+          // WCAG 2.2.2: anything that moves on its own for more than five seconds needs a pause control
+          toggle = makeButton('stepper-autoplay', '');
+          toggleText = true;
+          dom.insert(toggle, container.querySelector('.workflow-controls') || container);
+        }
+        if (o.autoplayProgress) {
+          const progress = document.createElement('div');
+          progress.className = 'stepper-progress';
+          progress.setAttribute('aria-hidden', 'true');
+          progressBar = document.createElement('span');
+          progressBar.className = 'stepper-progress__bar';
+          progress.appendChild(progressBar);
+          const track = slides[0].parentElement;
+          if (track && track !== container && container.contains(track)) dom.insert(progress, track.parentNode, track.nextSibling);
+          else dom.insert(progress, container);
+        }
+      }
+
+      function renderAutoplay() {
+        if (destroyed) return;
+        const next = !(interval > 0) ? 'off' : !playing ? 'paused' : holds.size ? 'held' : 'playing';
+        if (toggle) setAttr(toggle, 'aria-pressed', playing ? 'true' : 'false');
+        if (progressBar) {
+          // freeze at the elapsed fraction, then (while running) fill the rest over what is left
+          progressBar.style.transition = 'none';
+          progressBar.style.width = `${(1 - remaining / interval) * 100}%`;
+          if (next === 'playing' && !reducedMotion) {
+            void progressBar.offsetWidth;
+            progressBar.style.transition = `width ${remaining}ms linear`;
+            progressBar.style.width = '100%';
+          }
+        }
+        if (next === autoplayState) return;
+        autoplayState = next;
+        setAttr(container, 'data-autoplay-state', next);
+        Events.emit('autoplay-change', { state: next, playing, interval, container, stepper: instance }, container);
+      }
+
+      function syncAutoplay() {
+        const run = interval > 0 && playing && !holds.size && !destroyed;
+        if (run && !autoplayTimer) {
+          cycleStart = Date.now();
+          autoplayTimer = setTimeout(advance, remaining);
+        } else if (!run && autoplayTimer) {
+          clearTimeout(autoplayTimer);
+          autoplayTimer = null;
+          remaining = Math.max(0, remaining - (Date.now() - cycleStart));
+        }
+        renderAutoplay();
+      }
+
+      function advance() {
+        autoplayTimer = null;
+        if (!o.loop && currentIndex === slides.length - 1) {
+          // nowhere left to go: stop rather than sit "playing" on the last step
+          remaining = interval;
+          setPlaying(false);
+          return;
+        }
+        move(1, auto);
+      }
+
+      // Every step change starts a fresh interval, so a manual move is never followed by an
+      // immediate auto-advance
+      function restartCycle() {
+        if (autoplayTimer) {
+          clearTimeout(autoplayTimer);
+          autoplayTimer = null;
+        }
+        remaining = interval;
+        syncAutoplay();
+      }
+
+      function setPlaying(on) {
+        playing = !!on && interval > 0;
+        if (toggleText) I18n.bind(toggle, () => I18n.t(playing ? 'autoplayOn' : 'autoplayOff'));
+        syncAutoplay();
+      }
+
+      function hold(reason, on) {
+        if (on) holds.add(reason);
+        else holds.delete(reason);
+        syncAutoplay();
+      }
+
+      // Instant transitions for reduced motion; autoplay follows the preference until the user chooses
+      function applyMotionPreference() {
+        toggleClass(container, 'is-reduced-motion', reducedMotion);
+        if (!userChose) setPlaying(autoplayWanted && !reducedMotion);
+      }
+      if (motionQuery) {
+        const onMotionChange = () => {
+          reducedMotion = motionQuery.matches;
+          applyMotionPreference();
+        };
+        if (typeof motionQuery.addEventListener === 'function') {
+          listeners.add(motionQuery, 'change', onMotionChange, false);
+        } else if (typeof motionQuery.addListener === 'function') {
+          // Safari < 14
+          motionQuery.addListener(onMotionChange);
+          unwatchMotion = () => motionQuery.removeListener(onMotionChange);
         }
-      } catch (_) { /* ignore */ }
+      }
 
-      // If no nav from aria-controls, try an explicit mobile menu id commonly used
-      if (!nav) {
-        nav = document.getElementById('mobile-menu') || document.querySelector('#mobile-menu');
+      if (toggle) {
+        listeners.add(toggle, 'click', function (ev) {
+          ev.preventDefault();
+          userChose = true;
+          // pressing play means "now": the pointer or focus that pressed it doesn't hold it back
+          if (!playing) {
+            holds.delete('hover');
+            holds.delete('focus');
+          }
+          setPlaying(!playing);
+        }, false);
       }
 
-      // Fallback to configured generic selector
-      if (!nav) {
-        nav = document.querySelector(opts.mobileNavContainerSelector);
+      const api = { history: o.linkHistory };
+      const user = { focus: true, history: o.linkHistory };
+      listeners.add(prevBtn, 'click', function (ev) {
+        ev.preventDefault();
+        move(-1, user);
+      }, false);
+      listeners.add(nextBtn, 'click', function (ev) {
+        ev.preventDefault();
+        move(1, user);
+      }, false);
+      indicatorButtons.forEach((btn, i) => {
+        listeners.add(btn, 'click', function (ev) {
+          ev.preventDefault();
+          updateActive(i, user);
+        }, false);
+      });
+
+      // Keyboard navigation on the container
+      listeners.add(container, 'keydown', function (ev) {
+        const key = ev.key || ev.code;
+        // Normalize space detection (Spacebar for older browsers)
+        const isSpace = (key === ' ' || key === 'Spacebar' || key === 'Space' || ev.code === 'Space');
+        switch (key) {
+          case 'ArrowLeft':
+          case 'Left':
+            ev.preventDefault();
+            move(-1, user);
+            break;
+          case 'ArrowRight':
+          case 'Right':
+            ev.preventDefault();
+            move(1, user);
+            break;
+          case 'Home':
+            ev.preventDefault();
+            updateActive(0, user);
+            break;
+          case 'End':
+            ev.preventDefault();
+            updateActive(slides.length - 1, user);
+            break;
+          default:
+            if (isSpace) {
+              // When focused on an indicator, treat space as activation
+              const active = activeElement();
+              if (indicatorButtons.includes(active)) {
+                ev.preventDefault();
+                active.click && active.click();
+              }
+            }
+            break;
+        }
+      }, false);
+
+      listeners.add(container, 'mouseenter', () => hold('hover', true), false);
+      listeners.add(container, 'mouseleave', () => hold('hover', false), false);
+      listeners.add(container, 'focusin', () => hold('focus', true), false);
+      listeners.add(container, 'focusout', function (ev) {
+        if (!ev.relatedTarget || !container.contains(ev.relatedTarget)) hold('focus', false);
+      }, false);
+      listeners.add(document, 'visibilitychange', () => hold('hidden', !!document.hidden), false);
+
+      // Pointer swipe / drag. The active step follows the pointer; releasing past swipeDistance
+      // (or flicking faster than swipeVelocity) moves through updateActive, so announcements are
+      // unchanged. Vertical gestures are left to the browser (touch-action: pan-y).
+      function setupSwipe() {
+        if (!o.swipe || typeof global.PointerEvent === 'undefined') return;
+        const track = slides[0].parentElement || container;
+        dom.setStyle(track, 'touch-action', 'pan-y');
+        let drag = null; // { id, x0, y0, dx, horizontal, samples: [{ x, t }] }
+        let suppressClick = false;
+
+        function atEdge(dx) {
+          return !o.loop && ((dx > 0 && currentIndex === 0) || (dx < 0 && currentIndex === slides.length - 1));
+        }
+
+        // Past the first/last step the slide resists more the further it is pulled
+        function offsetFor(dx) {
+          if (!atEdge(dx)) return dx;
+          const width = track.getBoundingClientRect().width || 320;
+          return Math.sign(dx) * width * (1 - 1 / (Math.abs(dx) * 0.55 / width + 1));
+        }
+
+        function paint(el, offset, animate) {
+          dom.setStyle(el, 'transition', animate && !reducedMotion ? `transform ${o.swipeSnapMs}ms ease-out` : 'none');
+          dom.setStyle(el, 'transform', offset ? `translateX(${offset}px)` : '');
+        }
+
+        // px/ms over the last 100ms, so holding still before letting go is not a flick
+        function velocity(samples) {
+          const b = samples[samples.length - 1];
+          const recent = samples.filter(p => b.t - p.t <= 100);
+          const a = recent[0];
+          const dt = b.t - a.t;
+          return dt > 0 ? (b.x - a.x) / dt : 0;
+        }
+
+        listeners.add(track, 'pointerdown', function (ev) {
+          if (drag || destroyed) return;
+          if (ev.pointerType === 'mouse' && ev.button !== 0) return;
+          if (ev.target.closest && ev.target.closest('a, button, input, select, textarea, label')) return;
+          drag = { id: ev.pointerId, x0: ev.clientX, y0: ev.clientY, dx: 0, horizontal: null, samples: [{ x: ev.clientX, t: ev.timeStamp }] };
+        }, false);
+
+        listeners.add(track, 'pointermove', function (ev) {
+          if (!drag || ev.pointerId !== drag.id) return;
+          const dx = ev.clientX - drag.x0;
+          const dy = ev.clientY - drag.y0;
+          if (drag.horizontal === null) {
+            if (Math.abs(dx) < SWIPE_SLOP && Math.abs(dy) < SWIPE_SLOP) return;
+            if (Math.abs(dy) >= Math.abs(dx)) {
+              drag = null; // vertical: let the page scroll
+              return;
+            }
+            drag.horizontal = true;
+            try { track.setPointerCapture(ev.pointerId); } catch (_) { /* ignore */ }
+            hold('drag', true);
+          }
+          ev.preventDefault();
+          drag.dx = dx;
+          drag.samples.push({ x: ev.clientX, t: ev.timeStamp });
+          if (drag.samples.length > 5) drag.samples.shift();
+          paint(slides[currentIndex], offsetFor(dx), false);
+        }, false);
+
+        function onRelease(ev) {
+          if (!drag || ev.pointerId !== drag.id) return;
+          const d = drag;
+          drag = null;
+          if (!d.horizontal) return;
+          // a drag is not a click on whatever is under the pointer
+          suppressClick = true;
+          setTimeout(() => { suppressClick = false; }, 0);
+          d.samples.push({ x: ev.clientX, t: ev.timeStamp });
+          const v = velocity(d.samples);
+          const commit = ev.type === 'pointerup' && !atEdge(d.dx) &&
+            (Math.abs(d.dx) >= o.swipeDistance || (Math.abs(v) >= o.swipeVelocity && Math.sign(v) === Math.sign(d.dx)));
+          paint(slides[currentIndex], 0, true);
+          if (commit) move(d.dx < 0 ? 1 : -1, api);
+          hold('drag', false);
+        }
+        listeners.add(track, 'pointerup', onRelease, false);
+        listeners.add(track, 'pointercancel', onRelease, false);
+        listeners.add(track, 'click', function (ev) {
+          if (!suppressClick) return;
+          ev.preventDefault();
+          ev.stopPropagation();
+        }, true);
       }
+      setupSwipe();
 
-      if (!nav) {
-        Logger.debug('Mobile nav: nav container not found via any selector');
+      function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        syncAutoplay();
+        listeners.removeAll();
+        if (unwatchMotion) unwatchMotion();
+        I18n.release(container);
+        dom.revert();
+        state.steppers.delete(container);
+        demoLog.debug(`Stepper "${uid}" destroyed`);
+      }
+
+      const instance = {
+        element: container,
+        get current() { return currentIndex; },
+        get length() { return slides.length; },
+        next() { move(1, api); },
+        prev() { move(-1, api); },
+        goTo(index) { updateActive(Number(index), api); },
+        /** Whether auto-advance is on (it may still be held by hover, focus or a hidden page) */
+        get playing() { return playing; },
+        /** Stop auto-advance until resume() or the toggle; hover and focus never restart it */
+        pause() {
+          userChose = true;
+          setPlaying(false);
+        },
+        resume() {
+          userChose = true;
+          setPlaying(true);
+        },
+        destroy,
+      };
+
+      // Back/forward: follow the URL (or the step we stored with the entry) without writing it again
+      const initialIndex = Math.max(0, readLink());
+      function onHistory(ev) {
+        const stored = ev.state && ev.state.siteappSteps && ev.state.siteappSteps[linkParam];
+        const linked = readLink();
+        if (linked !== -1) updateActive(linked);
+        else if (typeof stored === 'number') updateActive(stored);
+        else if (ev.type === 'popstate') updateActive(initialIndex);
+      }
+      if (linkMode === 'hash' || linkMode === 'query') {
+        listeners.add(global, 'popstate', onHistory, false);
+        if (linkMode === 'hash') listeners.add(global, 'hashchange', onHistory, false);
+      }
+
+      stepperInternals.set(instance, {
+        stepIndex: el => slides.findIndex(s => s === el || s.contains(el)),
+        show: index => updateActive(index, api),
+      });
+      state.steppers.set(container, instance);
+      updateActive(initialIndex);
+      applyMotionPreference();
+      // A #step link can't scroll to a hidden step, so bring the stepper itself into view
+      if (linkMode === 'hash' && readLink() !== -1) {
+        const top = Math.max(0, container.getBoundingClientRect().top + window.pageYOffset - resolveScrollOffset());
+        try { window.scrollTo(0, top); } catch (_) { /* ignore */ }
+      }
+      demoLog.info(`Stepper "${uid}" initialized with`, slides.length, 'steps');
+      return instance;
+    }
+
+    /**
+     * Create a stepper for `target` (element or selector); replaces an existing one on the same
+     * element. Options: see STEPPER_DEFAULTS (merged over init's `stepper` option).
+     * Returns the instance, or null when the container has no steps.
+     */
+    function Stepper(target, options) {
+      const el = typeof target === 'string' ? query(target) : target;
+      if (!el || !el.querySelectorAll) throw new TypeError('SiteApp.Stepper expects an element or selector');
+      if (!inScope(el)) throw new RangeError('SiteApp.Stepper: the element is outside this app\'s root');
+      const existing = state.steppers.get(el);
+      if (existing) existing.destroy();
+      const shared = opts.stepper && typeof opts.stepper === 'object' ? opts.stepper : null;
+      return createStepper(el, Object.assign({}, STEPPER_DEFAULTS, shared, options));
+    }
+    /** The stepper and step index that `el` (a step or something inside one) belongs to, if any. */
+    function stepperFor(el) {
+      for (const instance of state.steppers.values()) {
+        const internals = stepperInternals.get(instance);
+        const index = internals ? internals.stepIndex(el) : -1;
+        if (index !== -1) return { instance, internals, index };
+      }
+      return null;
+    }
+
+    Stepper.get = target => state.steppers.get(typeof target === 'string' ? query(target) : target) || null;
+    Stepper.list = () => Array.from(state.steppers.values());
+
+    // Built-in plugin "stepper": one Stepper per matching container
+    function setupSteppers(ctx) {
+      let containers = [];
+      try {
+        containers = queryAll(ctx.options.selector);
+      } catch (e) {
+        demoLog.warn('Invalid stepper selector', ctx.options.selector, e);
         return;
       }
+      containers.forEach(el => {
+        if (state.steppers.has(el) || inScopedApp(el)) return;
+        try {
+          createStepper(el, ctx.options);
+        } catch (e) {
+          demoLog.error('Stepper initialization error', e);
+        }
+      });
+    }
 
-      // Ensure accessibility attributes: only set aria-controls if not present (respect existing)
-      if (!toggle.getAttribute('aria-controls')) {
-        if (!nav.id) nav.id = `main-nav-${Math.random().toString(36).slice(2, 8)}`;
-        toggle.setAttribute('aria-controls', nav.id);
-      } else {
-        // If aria-controls exists but nav had no id, try to ensure the target is correct
-        if (!nav.id) nav.id = toggle.getAttribute('aria-controls') || `main-nav-${Math.random().toString(36).slice(2, 8)}`;
+    /**
+     * Analytics
+     *
+     * Structured events ({ name, time, page, props }) fed by the event bus and a few document
+     * listeners, batched and handed to a sink: 'console', 'beacon' (navigator.sendBeacon to
+     * `endpoint`) or a function(events). Nothing is recorded until consent is granted (option
+     * `consent`, or SiteApp.analytics.setConsent(true); the consent plugin's `analytics` category
+     * when it runs); withdrawing it drops anything queued.
+     * Built-in plugin "analytics" (options: ANALYTICS_DEFAULTS via init's `analytics` option).
+     *
+     * Events: nav_open, cta_click, outbound_click, form_start, field_error, form_submit,
+     * form_failure, step_view. Field values are never included.
+     */
+    const ANALYTICS_DEFAULTS = {
+      sink: 'console', // 'console' | 'beacon' | function (events) {}
+      endpoint: '', // beacon URL
+      batchSize: 20, // send once this many events are queued...
+      flushMs: 10000, // ...or this long after the first one, and whenever the page is hidden
+      consent: false, // true when consent was already obtained elsewhere
+      ctaSelector: '[data-cta], .btn-primary, .demo-cta',
+    };
+
+    const analytics = (function () {
+      let granted = false;
+      let config = null; // plugin options while the plugin runs
+      let queue = [];
+      let timer = null;
+
+      function track(name, props) {
+        if (!granted || !config) return false;
+        queue.push({ name, time: Date.now(), page: location.pathname, props: props || {} });
+        if (queue.length >= config.batchSize) flush();
+        else if (!timer) timer = setTimeout(flush, config.flushMs);
+        return true;
       }
 
-      if (!toggle.hasAttribute('aria-expanded')) toggle.setAttribute('aria-expanded', 'false');
-      if (!nav.hasAttribute('aria-expanded')) nav.setAttribute('aria-expanded', 'false');
+      function beacon(batch) {
+        if (!config.endpoint) {
+          Logger.warn('Analytics: the beacon sink needs an endpoint');
+          return;
+        }
+        postBeacon(config.endpoint, { events: batch }).catch(e => Logger.debug('Analytics: could not send events', e));
+      }
 
-      function openNav() {
-        body.classList.add(opts.mobileNavOpenClass);
-        toggle.setAttribute('aria-expanded', 'true');
-        nav.setAttribute('aria-expanded', 'true');
-        nav.classList.add('is-open');
-        // set focus to first link inside nav for accessibility
-        const firstLink = nav.querySelector('a, button, [tabindex]:not([tabindex="-1"])');
-        if (firstLink) {
-          try { firstLink.focus(); } catch (_) { /* ignore */ }
+      /** Hand everything queued to the sink now. Returns the number of events sent. */
+      function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!queue.length || !config) return 0;
+        const batch = queue;
+        queue = [];
+        try {
+          if (typeof config.sink === 'function') config.sink(batch);
+          else if (config.sink === 'beacon') beacon(batch);
+          else Logger.info('Analytics', batch);
+        } catch (e) {
+          Logger.warn('Analytics sink failed', e);
         }
-        Logger.info('Mobile nav opened');
+        return batch.length;
       }
 
-      function closeNav() {
-        body.classList.remove(opts.mobileNavOpenClass);
-        toggle.setAttribute('aria-expanded', 'false');
-        nav.setAttribute('aria-expanded', 'false');
-        nav.classList.remove('is-open');
-        try { toggle.focus({ preventScroll: true }); } catch (_) { try { toggle.focus(); } catch (__) { /* ignore */ } }
-        Logger.info('Mobile nav closed');
+      function setConsent(on) {
+        granted = !!on;
+        if (!granted) {
+          clearTimeout(timer);
+          timer = null;
+          queue = [];
+        }
+        Logger.debug(`Analytics consent ${granted ? 'granted' : 'withdrawn'}`);
+        return granted;
       }
 
-      function toggleNav() {
-        const expanded = toggle.getAttribute('aria-expanded') === 'true';
-        if (expanded) closeNav();
-        else openNav();
+      function start(options) {
+        if (typeof options.sink !== 'function' && options.sink !== 'console' && options.sink !== 'beacon') {
+          Logger.warn('Analytics: unknown sink', options.sink, '- using console');
+          options.sink = 'console';
+        }
+        config = options;
+        if (options.consent === true) granted = true;
       }
 
-      function onDocumentKey(e) {
-        if (e.key === 'Escape') {
-          if (document.body.classList.contains(opts.mobileNavOpenClass)) closeNav();
+      function stop() {
+        flush();
+        config = null;
+      }
+
+      return {
+        start,
+        stop,
+        track,
+        api: {
+          track,
+          flush,
+          setConsent,
+          hasConsent: () => granted,
+        },
+      };
+    })();
+
+    // Built-in plugin "analytics": turns bus events and clicks into analytics events
+    function setupAnalytics(ctx) {
+      const o = ctx.options;
+      analytics.start(o);
+      const track = analytics.track;
+      const started = new WeakSet(); // forms someone has begun filling in
+
+      function formKey(form) {
+        const ctl = state.forms.get(form);
+        return ctl ? ctl.key : formKeyOf(form) || null;
+      }
+
+      function onClick(ev) {
+        const el = ev.target && ev.target.closest ? ev.target.closest('a[href], button, [data-cta]') : null;
+        if (!el || inScopedApp(el)) return;
+        const link = el.tagName === 'A' ? el : null;
+        if (link) {
+          try {
+            const url = new URL(link.href, location.href);
+            if (/^https?:$/.test(url.protocol) && url.origin !== location.origin) {
+              track('outbound_click', { href: url.href, host: url.host });
+            }
+          } catch (_) { /* not a URL we can describe */ }
+        }
+        let cta = false;
+        try {
+          cta = el.matches(o.ctaSelector);
+        } catch (e) {
+          Logger.debug('Analytics: invalid ctaSelector', o.ctaSelector);
+        }
+        if (cta) {
+          track('cta_click', {
+            cta: el.getAttribute('data-cta') || el.id || null,
+            label: (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 80),
+            href: link ? link.getAttribute('href') : null,
+          });
         }
       }
 
-      function onDocumentClick(e) {
-        // close nav when clicking outside the nav + toggle
-        if (!document.body.classList.contains(opts.mobileNavOpenClass)) return;
-        const path = e.composedPath ? e.composedPath() : (e.path || []);
-        if (path && path.length) {
-          if (path.includes(nav) || path.includes(toggle)) return;
+      function onInput(ev) {
+        const field = ev.target;
+        const form = field && field.form;
+        // the honeypot is only ever filled in by bots
+        if (!form || started.has(form) || !state.forms.has(form) || (field.closest && field.closest('.form-hp'))) return;
+        started.add(form);
+        track('form_start', { form: formKey(form) });
+      }
+
+      function onHidden() {
+        if (document.visibilityState === 'hidden') analytics.api.flush();
+      }
+
+      ctx.addListener(root, 'click', onClick, true);
+      ctx.addListener(root, 'input', onInput, true);
+      ctx.addListener(document, 'visibilitychange', onHidden, false);
+      ctx.addListener(global, 'pagehide', analytics.api.flush, false);
+
+      const unsubscribe = [
+        Events.on('nav-open', () => track('nav_open')),
+        Events.on('form-invalid', d => d.errors.forEach(err => track('field_error', { form: d.key, field: err.name }))),
+        Events.on('form-submitted', d => track('form_submit', { form: d.key, queued: !!d.queued })),
+        Events.on('form-failed', d => track('form_failure', {
+          form: d.key,
+          reason: d.error ? d.error.code || d.error.name || 'error' : 'rejected',
+          status: d.result && d.result.status ? d.result.status : null,
+        })),
+        Events.on('step-change', d => track('step_view', {
+          stepper: d.container.id || null,
+          step: d.index + 1,
+          total: d.total,
+        })),
+      ];
+
+      return function cleanupAnalytics() {
+        unsubscribe.forEach(off => off());
+        analytics.stop();
+      };
+    }
+
+    /**
+     * Consent
+     *
+     * Which optional kinds of storage and tracking the visitor allows: `necessary` (always on:
+     * spam protection, the outbox, the consent record itself), `preferences` (form drafts) and
+     * `analytics`. The record { version, timestamp, categories } is kept in localStorage; one
+     * with another `version` counts as missing, so changing the policy asks again. Features of a
+     * category stay off until it is granted, and withdrawing it deletes what they stored.
+     * Built-in plugin "consent" (options: CONSENT_DEFAULTS via init's `consent` option). With
+     * `consent: false` the page handles consent itself and nothing is gated here.
+     */
+    const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics'];
+    const CONSENT_DEFAULTS = {
+      storageKey: 'aiagency_consent_v1',
+      version: 1, // bump when the categories or their purposes change
+      banner: true, // ask with a banner while there is no current record
+      openSelector: '[data-consent-open]', // controls that open the preferences dialog (unhidden on init)
+    };
+
+    const consent = (function () {
+      let config = null; // plugin options while the plugin runs
+      let record = null;
+      let ui = null; // { open(opener) } from the plugin
+
+      function read() {
+        try {
+          const parsed = JSON.parse(localStorage.getItem(config.storageKey) || 'null');
+          if (parsed && parsed.version === config.version && parsed.categories && typeof parsed.categories === 'object') return parsed;
+        } catch (e) {
+          Logger.debug('Consent: unreadable record', e);
+        }
+        return null;
+      }
+
+      function copy(r) {
+        return r ? { version: r.version, timestamp: r.timestamp, categories: Object.assign({}, r.categories) } : null;
+      }
+
+      /**
+       * Whether `category` may be used. Nothing is gated while the consent plugin is off; a scoped
+       * app, which never runs it, asks SiteApp.
+       */
+      function allows(category) {
+        if (category === 'necessary') return true;
+        if (!config) return scoped ? SiteApp.consent.allows(category) : true;
+        return !!(record && record.categories[category]);
+      }
+
+      // Delete everything stored under the preferences category: the theme, and drafts of every
+      // form, including forms on other pages and drafts under older key versions
+      function forgetPreferences() {
+        if (!scoped) theme.forget();
+        state.forms.forEach(ctl => {
+          if (ctl.forgetDraft) ctl.forgetDraft();
+        });
+        try {
+          const draftKeys = [opts.contactDraftKey].concat(previousDraftKeys(opts.contactDraftKey));
+          Object.keys(opts.forms || {}).forEach(key => {
+            const own = opts.forms[key];
+            if (own && own.draftKey) draftKeys.push(own.draftKey);
+          });
+          for (let i = localStorage.length - 1; i >= 0; i--) {
+            const k = localStorage.key(i);
+            if (k && (draftKeys.indexOf(k) !== -1 || k.indexOf(opts.formDraftKeyPrefix) === 0)) localStorage.removeItem(k);
+          }
+        } catch (e) {
+          Logger.warn('Consent: could not delete stored drafts', e);
+        }
+      }
+
+      function apply() {
+        analytics.api.setConsent(allows('analytics'));
+        if (!allows('preferences')) forgetPreferences();
+      }
+
+      /**
+       * Record the visitor's choices ({ preferences, analytics }; omitted ones keep their current
+       * value) and switch features to match. Returns the new record.
+       */
+      function update(choices) {
+        if (!config) throw new Error('SiteApp.consent needs the consent plugin (SiteApp.init without consent: false)');
+        const previous = record;
+        const categories = {};
+        CONSENT_CATEGORIES.forEach(name => {
+          if (name === 'necessary') categories[name] = true;
+          else if (choices && choices[name] !== undefined) categories[name] = !!choices[name];
+          else categories[name] = !!(previous && previous.categories[name]);
+        });
+        record = { version: config.version, timestamp: new Date().toISOString(), categories };
+        try {
+          localStorage.setItem(config.storageKey, JSON.stringify(record));
+        } catch (e) {
+          Logger.warn('Consent: could not store the record', e);
+        }
+        apply();
+        Logger.info('Consent updated', categories);
+        Events.emit('consent-change', { consent: copy(record), previous: copy(previous) });
+        return copy(record);
+      }
+
+      function all(on) {
+        const choices = {};
+        CONSENT_CATEGORIES.forEach(name => { choices[name] = on; });
+        return update(choices);
+      }
+
+      function start(options, hooks) {
+        config = options;
+        ui = hooks || null;
+        record = read();
+        // only switch analytics here; data is deleted when someone actually withdraws consent
+        analytics.api.setConsent(allows('analytics'));
+        return copy(record);
+      }
+
+      function stop() {
+        config = null;
+        ui = null;
+        record = null;
+      }
+
+      // Scoped apps take the page's recorded choices and delete their own drafts when the visitor
+      // withdraws preferences there. Returns an unsubscribe function.
+      function follow() {
+        const page = SiteApp.consent.get();
+        if (page) analytics.api.setConsent(!!page.categories.analytics);
+        return SiteApp.on('consent-change', detail => {
+          analytics.api.setConsent(!!detail.consent.categories.analytics);
+          if (!detail.consent.categories.preferences) forgetPreferences();
+        });
+      }
+
+      return {
+        start,
+        stop,
+        allows,
+        follow,
+        api: {
+          get: () => copy(record),
+          allows,
+          update,
+          acceptAll: () => all(true),
+          rejectAll: () => all(false),
+          /** Open the preferences dialog (while the consent plugin runs). */
+          showPreferences() {
+            if (ui) ui.open(document.activeElement);
+          },
+        },
+      };
+    })();
+
+    // Built-in plugin "consent": banner, preferences dialog and [data-consent-open] controls
+    function setupConsent(ctx) {
+      const o = ctx.options;
+      const idBase = `siteapp-consent-${Math.random().toString(36).slice(2, 8)}`;
+      let banner = null;
+      let dialog = null; // { el, native, boxes: { category: checkbox } }
+      let opener = null;
+
+      function button(className, key, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = className;
+        I18n.bind(btn, () => ctx.t(key));
+        ctx.addListener(btn, 'click', onClick, false);
+        return btn;
+      }
+
+      function text(tag, key, id) {
+        const el = document.createElement(tag);
+        if (id) el.id = id;
+        I18n.bind(el, () => ctx.t(key));
+        return el;
+      }
+
+      function remove(el) {
+        if (!el) return;
+        I18n.release(el);
+        if (el.parentNode) el.parentNode.removeChild(el);
+      }
+
+      function choose(choices) {
+        if (choices === true) consent.api.acceptAll();
+        else if (choices === false) consent.api.rejectAll();
+        else consent.api.update(choices);
+        closePreferences();
+      }
+
+      // Not modal: the page stays usable, and nothing optional runs until a choice is made
+      function showBanner() {
+        if (banner) return;
+        banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('aria-labelledby', `${idBase}-banner-title`);
+        banner.appendChild(text('h2', 'consentTitle', `${idBase}-banner-title`)).className = 'consent-banner__title';
+        banner.appendChild(text('p', 'consentText')).className = 'consent-banner__text';
+        const actions = document.createElement('div');
+        actions.className = 'consent-banner__actions';
+        actions.appendChild(button('btn btn-primary', 'consentAcceptAll', () => choose(true)));
+        actions.appendChild(button('btn btn-ghost', 'consentRejectAll', () => choose(false)));
+        actions.appendChild(button('btn btn-ghost', 'consentCustomize', ev => openPreferences(ev.currentTarget)));
+        banner.appendChild(actions);
+        ctx.dom.insert(banner, document.body);
+      }
+
+      function hideBanner() {
+        remove(banner);
+        banner = null;
+      }
+
+      function buildDialog() {
+        const native = typeof document.createElement('dialog').showModal === 'function';
+        const el = document.createElement(native ? 'dialog' : 'div');
+        el.className = 'consent-dialog';
+        el.setAttribute('aria-labelledby', `${idBase}-dialog-title`);
+        if (!native) {
+          el.setAttribute('role', 'dialog');
+          el.setAttribute('aria-modal', 'true');
+          el.hidden = true;
+        }
+        el.appendChild(text('h2', 'consentDialogTitle', `${idBase}-dialog-title`)).className = 'consent-dialog__title';
+        const boxes = {};
+        const list = document.createElement('div');
+        list.className = 'consent-dialog__categories';
+        CONSENT_CATEGORIES.forEach(name => {
+          const key = name.charAt(0).toUpperCase() + name.slice(1);
+          const row = document.createElement('div');
+          row.className = 'consent-dialog__category';
+          const label = document.createElement('label');
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.name = name;
+          box.setAttribute('aria-describedby', `${idBase}-${name}-hint`);
+          if (name === 'necessary') {
+            box.checked = true;
+            box.disabled = true;
+          }
+          label.appendChild(box);
+          label.appendChild(text('span', `consent${key}`));
+          row.appendChild(label);
+          row.appendChild(text('p', `consent${key}Hint`, `${idBase}-${name}-hint`)).className = 'consent-dialog__hint';
+          list.appendChild(row);
+          boxes[name] = box;
+        });
+        el.appendChild(list);
+        const actions = document.createElement('div');
+        actions.className = 'consent-dialog__actions';
+        actions.appendChild(button('btn btn-primary', 'consentSave', () => choose({
+          preferences: boxes.preferences.checked,
+          analytics: boxes.analytics.checked,
+        })));
+        actions.appendChild(button('btn btn-ghost', 'consentAcceptAll', () => choose(true)));
+        actions.appendChild(button('btn btn-ghost', 'consentRejectAll', () => choose(false)));
+        actions.appendChild(button('btn btn-ghost consent-dialog__close', 'consentClose', closePreferences));
+        el.appendChild(actions);
+
+        if (native) {
+          // Escape closes a native dialog; put focus back like our own close does
+          ctx.addListener(el, 'cancel', ev => {
+            ev.preventDefault();
+            closePreferences();
+          }, false);
         } else {
-          if (nav.contains(e.target) || toggle.contains(e.target)) return;
+          ctx.addListener(el, 'keydown', ev => {
+            if (ev.key === 'Escape') {
+              ev.preventDefault();
+              closePreferences();
+              return;
+            }
+            if (ev.key !== 'Tab') return;
+            // keep Tab inside the dialog
+            const items = Array.from(el.querySelectorAll('button, input:not([disabled])'));
+            const at = items.indexOf(document.activeElement);
+            const next = ev.shiftKey ? (at <= 0 ? items.length - 1 : at - 1) : (at + 1) % items.length;
+            ev.preventDefault();
+            items[next].focus();
+          }, false);
         }
-        closeNav();
+        ctx.dom.insert(el, document.body);
+        return { el, native, boxes };
       }
 
-      addListener(toggle, 'click', function (ev) {
+      function openPreferences(from) {
+        if (!dialog) dialog = buildDialog();
+        const current = consent.api.get();
+        dialog.boxes.preferences.checked = !!(current && current.categories.preferences);
+        dialog.boxes.analytics.checked = !!(current && current.categories.analytics);
+        opener = from && from !== document.body ? from : null;
+        if (dialog.native) {
+          if (!dialog.el.open) dialog.el.showModal();
+        } else {
+          dialog.el.hidden = false;
+        }
+        try { dialog.boxes.preferences.focus(); } catch (_) { /* ignore */ }
+      }
+
+      function closePreferences() {
+        if (!dialog) return;
+        if (dialog.native) {
+          if (dialog.el.open) dialog.el.close();
+        } else {
+          dialog.el.hidden = true;
+        }
+        // back to what opened it; the banner's Customize button is gone once a choice is made
+        const back = opener && opener.isConnected ? opener : null;
+        opener = null;
+        if (back) {
+          try { back.focus(); } catch (_) { /* ignore */ }
+        }
+      }
+
+      function onDocumentClick(ev) {
+        let trigger = null;
+        try {
+          trigger = ev.target.closest && ev.target.closest(o.openSelector);
+        } catch (e) {
+          return;
+        }
+        if (!trigger) return;
         ev.preventDefault();
-        toggleNav();
-      });
+        openPreferences(trigger);
+      }
 
-      // also support quick touchstart for snappy mobile - passive true (no-op handler to hint to browser)
-      addListener(toggle, 'touchstart', function () {
-        // no-op; keep passive true to avoid blocking
-      }, { passive: true });
+      const current = consent.start(o, { open: openPreferences });
+      if (!current && o.banner) showBanner();
+      ctx.addListener(document, 'click', onDocumentClick, false);
+      try {
+        document.querySelectorAll(o.openSelector).forEach(el => {
+          if (el.hidden) ctx.dom.setAttr(el, 'hidden', false);
+        });
+      } catch (e) {
+        Logger.warn('Invalid consent openSelector', o.openSelector, e);
+      }
+      const unsubscribe = Events.on('consent-change', hideBanner);
+
+      return function cleanupConsent() {
+        unsubscribe();
+        if (dialog && dialog.native && dialog.el.open) dialog.el.close();
+        hideBanner();
+        if (dialog) remove(dialog.el);
+        dialog = null;
+        consent.stop();
+      };
+    }
+
+    /**
+     * Theme
+     *
+     * The visitor's color scheme: 'light', 'dark' or 'system' (follows prefers-color-scheme,
+     * live). The resolved scheme is written to <html data-theme="light|dark">; the chosen mode
+     * is stored under `storageKey` (with consent for preferences, when the consent plugin runs).
+     * The pages apply the stored mode from a tiny inline <head> script before first paint, so
+     * keep its key in sync with `storageKey`. Built-in plugin "theme" (options: THEME_DEFAULTS
+     * via init's `theme` option); [data-theme-toggle] buttons cycle through the modes.
+     */
+    const THEME_MODES = ['light', 'dark', 'system'];
+    const THEME_DEFAULTS = {
+      storageKey: 'aiagency_theme_v1',
+      defaultMode: 'dark', // without a stored choice; the stylesheet's base palette is dark
+      toggleSelector: '[data-theme-toggle], .theme-toggle', // unhidden on init
+    };
+
+    const theme = (function () {
+      let config = null; // plugin options while the plugin runs
+      let mode = null;
+      let media = null;
+      let unwatch = null;
+
+      function systemScheme() {
+        return media && media.matches ? 'dark' : 'light';
+      }
+
+      function resolved() {
+        return mode === 'system' ? systemScheme() : mode;
+      }
+
+      function apply() {
+        document.documentElement.setAttribute('data-theme', resolved());
+      }
+
+      function read() {
+        try {
+          const stored = localStorage.getItem(config.storageKey);
+          return THEME_MODES.indexOf(stored) !== -1 ? stored : null;
+        } catch (_) {
+          return null;
+        }
+      }
+
+      function persist() {
+        if (!consent.allows('preferences')) return;
+        try {
+          localStorage.setItem(config.storageKey, mode);
+        } catch (e) {
+          Logger.warn('Theme: could not store the choice', e);
+        }
+      }
+
+      function onSystemChange() {
+        if (mode !== 'system') return;
+        apply();
+        Events.emit('theme-change', { mode, theme: resolved() });
+      }
+
+      /** Switch to `mode` ('light' | 'dark' | 'system') and remember it. */
+      function set(next) {
+        if (THEME_MODES.indexOf(next) === -1) throw new TypeError(`SiteApp.theme.set expects one of: ${THEME_MODES.join(', ')}`);
+        if (!config) throw new Error('SiteApp.theme needs the theme plugin (SiteApp.init without theme: false)');
+        mode = next;
+        apply();
+        persist();
+        Events.emit('theme-change', { mode, theme: resolved() });
+        return mode;
+      }
+
+      function start(options) {
+        config = options;
+        const fallback = THEME_MODES.indexOf(options.defaultMode) !== -1 ? options.defaultMode : 'dark';
+        mode = read() || fallback;
+        if (typeof global.matchMedia === 'function') {
+          media = global.matchMedia('(prefers-color-scheme: dark)');
+          if (typeof media.addEventListener === 'function') {
+            media.addEventListener('change', onSystemChange);
+            unwatch = () => media.removeEventListener('change', onSystemChange);
+          } else if (typeof media.addListener === 'function') {
+            // Safari < 14
+            media.addListener(onSystemChange);
+            unwatch = () => media.removeListener(onSystemChange);
+          }
+        }
+        apply();
+      }
+
+      function stop() {
+        if (unwatch) unwatch();
+        unwatch = null;
+        media = null;
+        config = null;
+      }
+
+      function forget() {
+        if (!config) return;
+        try {
+          localStorage.removeItem(config.storageKey);
+        } catch (_) { /* ignore */ }
+      }
+
+      return {
+        start,
+        stop,
+        forget,
+        api: {
+          /** The chosen mode ('light' | 'dark' | 'system'); null before init. */
+          get: () => mode,
+          set,
+          /** The scheme in effect ('light' | 'dark'). */
+          resolved: () => (mode ? resolved() : null),
+        },
+      };
+    })();
+
+    // Built-in plugin "theme": applies the mode and enhances [data-theme-toggle] buttons
+    function setupTheme(ctx) {
+      const o = ctx.options;
+      ctx.dom.record(document.documentElement, 'data-theme');
+      theme.start(o);
+
+      let toggles = [];
+      try {
+        toggles = Array.from(document.querySelectorAll(o.toggleSelector));
+      } catch (e) {
+        Logger.warn('Invalid theme toggleSelector', o.toggleSelector, e);
+      }
+      const label = () => {
+        const current = theme.api.get();
+        return ctx.t('themeToggle', { mode: ctx.t(`theme${current.charAt(0).toUpperCase()}${current.slice(1)}`) });
+      };
+      // plain-text buttons show the mode; icon buttons get it as their accessible name
+      const slots = toggles.map(btn => {
+        const slot = btn.children.length ? 'aria-label' : undefined;
+        ctx.dom.record(btn, slot);
+        ctx.dom.setAttr(btn, 'hidden', false);
+        ctx.addListener(btn, 'click', ev => {
+          ev.preventDefault();
+          theme.api.set(THEME_MODES[(THEME_MODES.indexOf(theme.api.get()) + 1) % THEME_MODES.length]);
+        }, false);
+        return slot;
+      });
+      function renderToggles() {
+        toggles.forEach((btn, i) => I18n.bind(btn, label, slots[i]));
+      }
+      renderToggles();
 
-      addListener(document, 'keydown', onDocumentKey, false);
-      addListener(document, 'click', onDocumentClick, false);
+      const unsubscribe = Events.on('theme-change', renderToggles);
+      return function cleanupTheme() {
+        unsubscribe();
+        theme.stop();
+        toggles.forEach(btn => I18n.release(btn));
+      };
     }
 
     /**
-     * Smooth scroll handling for in-page anchors.
+     * Content
      *
-     * - Treats same-page links (including those with explicit filename like index.html#id) as smooth-scroll targets.
-     * - Uses resolveScrollOffset everywhere to avoid double-scrolls and CSS/JS offset mismatch.
-     * - Delegated single handler on document for performance.
+     * The services cards, testimonials and team members can come from data instead of
+     * hand-written HTML: `content.data` (an object) or `content.src` (a JSON file, fetched after
+     * init; data wins when both are set) holding { services: [...], testimonials: [...], team: [...] }.
+     * Each collection renders into its container (CONTENT_COLLECTIONS) through a template: a
+     * <template data-content-template="<name>"> in the container, else a copy of the container's
+     * first static item. Fields fill the elements listed for them, plus any
+     * [data-content-field="<field>"] in the template; an element whose fields are all empty is
+     * dropped. The static items stay in the HTML as the no-JS fallback and come back on teardown.
+     *
+     * Every entry may also have `order` (ascending; unordered entries follow), `featured`
+     * (listed first with class is-featured, unless featuredFirst is false) and `visibleFrom` /
+     * `visibleUntil` (dates; shown from the first, hidden from the second). Entries that do not
+     * match the schema are skipped with a warning; a collection with nothing left to show keeps
+     * its static items. Built-in plugin "content" (options: CONTENT_DEFAULTS via init's
+     * `content` option); emits `content-render` with the number of entries per collection.
      */
-    function setupSmoothScroll() {
-      if (!opts.enableSmoothScroll) return;
+    const CONTENT_DEFAULTS = {
+      data: null,
+      src: '',
+      featuredFirst: true,
+    };
+    const CONTENT_ITEM_PROPS = {
+      order: 'number',
+      featured: 'boolean',
+      visibleFrom: 'string',
+      visibleUntil: 'string',
+    };
+    // fields: { name: { required, bind: [{ selector (default: the item), attr (default: text), format }] } }
+    const CONTENT_COLLECTIONS = {
+      services: {
+        container: '.services-grid',
+        item: '.service-item',
+        fields: {
+          id: { bind: [{ attr: 'id' }] },
+          title: { required: true, bind: [{ selector: '.service-title' }] },
+          description: { required: true, bind: [{ selector: '.service-desc' }] },
+          linkText: { bind: [{ selector: '.service-learn' }] },
+          linkHref: { bind: [{ selector: '.service-learn', attr: 'href' }] },
+        },
+      },
+      testimonials: {
+        container: '.testimonials-list',
+        item: '.testimonial',
+        fields: {
+          quote: { required: true, bind: [{ selector: '.testimonial-quote' }] },
+          author: { required: true, bind: [{ selector: '.testimonial-author' }] },
+        },
+      },
+      team: {
+        container: '.team-list',
+        item: '.team-member',
+        fields: {
+          id: { required: true, bind: [{ attr: 'data-member' }] },
+          name: { required: true, bind: [{ selector: '.member-name' }] },
+          role: { bind: [{ selector: '.member-role' }] },
+          bio: { bind: [{ selector: '.member-bio' }] },
+          email: { bind: [{ selector: '.member-contact' }, { selector: '.member-contact', attr: 'href', format: v => `mailto:${v}` }] },
+        },
+      },
+    };
 
-      function isSamePageLink(link) {
-        try {
-          // Create absolute URL and compare origin + pathname to current location
-          const url = new URL(link.href, location.href);
-          // if no hash, not an anchor target we care about
-          if (!url.hash) return false;
-          return url.origin === location.origin && (url.pathname === location.pathname || url.pathname === (location.pathname.replace(/^\//, '') || '/'));
-        } catch (e) {
-          // fallback: links starting with '#' are same-page
-          return (link.getAttribute('href') || '').startsWith('#');
+    function setupContent(ctx) {
+      const o = ctx.options;
+      let live = true;
+
+      // Valid entries of one collection, or null when the collection itself is unusable
+      function validEntries(name, list) {
+        const def = CONTENT_COLLECTIONS[name];
+        const path = `content.${name}`;
+        if (!Array.isArray(list)) {
+          ctx.Logger.warn(`"${path}" must be an array; keeping the page's own markup`);
+          return null;
         }
+        const props = Object.assign({}, CONTENT_ITEM_PROPS);
+        Object.keys(def.fields).forEach(field => { props[field] = 'string'; });
+        return list.filter((entry, i) => {
+          try {
+            checkOption({ type: 'object', props }, entry, `${path}[${i}]`, message => ctx.Logger.warn(message));
+            const missing = Object.keys(def.fields).filter(field => def.fields[field].required && !entry[field]);
+            if (missing.length) throw new TypeError(`"${path}[${i}]" needs ${missing.join(', ')}`);
+            ['visibleFrom', 'visibleUntil'].forEach(key => {
+              if (entry[key] !== undefined && Number.isNaN(Date.parse(entry[key]))) throw new RangeError(`"${path}[${i}].${key}" must be a date; got ${JSON.stringify(entry[key])}`);
+            });
+            return true;
+          } catch (e) {
+            ctx.Logger.warn(`Skipping content entry: ${e.message}`);
+            return false;
+          }
+        });
       }
 
-      function handleAnchorClick(ev) {
-        // Only left-click w/o modifier keys
-        if (ev.defaultPrevented) return;
-        if (ev.button !== undefined && ev.button !== 0) return;
-        if (ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+      function visible(entry, now) {
+        if (entry.visibleFrom !== undefined && Date.parse(entry.visibleFrom) > now) return false;
+        if (entry.visibleUntil !== undefined && Date.parse(entry.visibleUntil) <= now) return false;
+        return true;
+      }
 
-        const link = ev.target.closest('a');
-        if (!link) return;
+      // featured first, then by `order`, otherwise as listed
+      function sorted(entries) {
+        const rank = entry => [o.featuredFirst && entry.featured ? 0 : 1, typeof entry.order === 'number' ? entry.order : Infinity];
+        return entries.map((entry, i) => ({ entry, i, rank: rank(entry) }))
+          .sort((a, b) => a.rank[0] - b.rank[0] || (a.rank[1] - b.rank[1]) || a.i - b.i)
+          .map(x => x.entry);
+      }
 
-        const href = link.getAttribute('href') || '';
-        // If the link explicitly disables smooth via data-smooth="false", skip
-        if (link.dataset && link.dataset.smooth === 'false') return;
+      function templateFor(name, container, def) {
+        const tpl = container.querySelector(`template[data-content-template="${name}"]`);
+        if (tpl) return tpl.content.firstElementChild;
+        return Array.from(container.children).find(el => el.matches(def.item)) || null;
+      }
 
-        // Determine if this link refers to the current page anchor
-        if (!isSamePageLink(link)) return;
+      function fill(template, def, entry) {
+        const el = template.cloneNode(true);
+        const used = new Map(); // bound element -> whether any of its fields has a value
+        Object.keys(def.fields).forEach(field => {
+          const value = entry[field];
+          const has = value !== undefined && value !== '';
+          const bindings = def.fields[field].bind.concat({ selector: `[data-content-field="${field}"]` });
+          bindings.forEach(b => {
+            const targets = b.selector ? Array.from(el.querySelectorAll(b.selector)) : [el];
+            targets.forEach(target => {
+              if (b.attr) {
+                if (has) target.setAttribute(b.attr, b.format ? b.format(value) : value);
+                else target.removeAttribute(b.attr);
+              } else if (has) {
+                target.textContent = b.format ? b.format(value) : value;
+              }
+              if (target !== el) used.set(target, used.get(target) || has);
+            });
+          });
+        });
+        used.forEach((has, target) => {
+          if (!has && target.parentNode) target.parentNode.removeChild(target);
+        });
+        el.classList.toggle('is-featured', !!entry.featured);
+        return el;
+      }
 
-        // Derive the target id from hash
-        const hash = (href.indexOf('#') === 0) ? href : (new URL(link.href, location.href).hash || '');
-        const id = hash ? hash.slice(1) : '';
-        // If no id, treat as "scroll to top"
-        if (!id) {
-          ev.preventDefault();
-          try {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-          } catch (_) {
-            window.scrollTo(0, 0);
-          }
+      function render(data, source) {
+        if (!live) return;
+        if (!isPlainObject(data)) {
+          ctx.Logger.warn('Content must be an object of collections; keeping the page\'s own markup');
           return;
         }
-
-        const target = document.getElementById(id) || document.getElementsByName(id)[0];
-        if (!target) return; // allow default if element not found
-        ev.preventDefault();
-        // Use focusAndReveal which resolves offsets and performs the scroll once
-        try {
-          focusAndReveal(target, undefined);
-        } catch (e) {
-          // fallback: do manual scroll using resolved offset
-          const top = Math.max(0, target.getBoundingClientRect().top + window.pageYOffset - resolveScrollOffset());
-          try {
-            window.scrollTo({ top, behavior: 'smooth' });
-            target.focus && target.focus();
-          } catch (_) {
-            window.scrollTo(0, top);
-            target.focus && target.focus();
+        checkOptions({}, data, 'content.', message => ctx.Logger.warn(message), Object.keys(CONTENT_COLLECTIONS));
+        const now = Date.now();
+        const rendered = {};
+        Object.keys(CONTENT_COLLECTIONS).forEach(name => {
+          if (data[name] === undefined) return;
+          const def = CONTENT_COLLECTIONS[name];
+          const container = ctx.query(def.container);
+          const valid = container && validEntries(name, data[name]);
+          if (!valid) return;
+          const entries = sorted(valid.filter(entry => visible(entry, now)));
+          const template = templateFor(name, container, def);
+          if (!entries.length || !template) {
+            ctx.Logger.debug(`Content "${name}": ${template ? 'nothing to show' : 'no template'}; keeping the page's own markup`);
+            return;
           }
-        }
+          const statics = Array.from(container.children).filter(el => el.matches(def.item));
+          const anchor = statics.length ? statics[0] : null;
+          entries.forEach(entry => ctx.dom.insert(fill(template, def, entry), container, anchor));
+          statics.forEach(ctx.dom.detach);
+          rendered[name] = entries.length;
+        });
+        ctx.Logger.debug(`Content rendered from ${source}`, rendered);
+        ctx.emit('content-render', { source, rendered });
       }
 
-      // Delegate from document - single handler
-      addListener(document, 'click', handleAnchorClick, false);
+      if (o.data) {
+        render(o.data, 'data');
+      } else if (o.src) {
+        fetch(o.src, { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+          .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+          })
+          .then(data => render(data, o.src), e => ctx.Logger.warn(`Could not load content from ${o.src}; keeping the page's own markup`, e));
+      }
+      return function cleanupContent() {
+        live = false; // a late response renders nothing; ctx.dom brings the static items back
+      };
     }
 
     /**
-     * Contact form validation and persistence
+     * Plugins
+     *
+     * A plugin is { name, defaults, schema, enabled(config), documentOnly, setup(ctx), teardown(ctx) };
+     * only name and setup are required, and setup may return a cleanup function. Its options are
+     * checked against `schema` (specs as in Option schema), else against the types of `defaults`.
+     * A `documentOnly` plugin works on the page as a whole and is skipped by scoped apps. Plugins are set up in
+     * registration order on init (or right away when registered later) and torn down in reverse.
+     *
+     * ctx: {
+     *   name, options   - plugin defaults merged with opts[name] (opts[name] === false disables it)
+     *   config          - all SiteApp options
+     *   addListener     - like addListener; removed automatically when the plugin is torn down
+     *   dom             - a mutation journal (see createMutationJournal); reverted after teardown
+     *   Logger          - logs as 'SiteApp:<name>' (level: logger.levels[name])
+     *   root, query(selector), queryAll(selector) - the app's root and lookups limited to it
+     *   focusAndReveal, emit(name, detail, target), t(key, params), app (this app's API)
+     * }
      */
-    function setupContactForm() {
-      if (!opts.enableContactForm) return;
-      const form = document.querySelector(opts.contactFormSelector);
-      if (!form) {
-        Logger.debug('Contact form not found:', opts.contactFormSelector);
-        return;
-      }
-
-      // find fields by common names
-      const nameField = form.querySelector('[name="name"], [id="name"], input[name="fullname"]') || null;
-      const emailField = form.querySelector('[name="email"], [id="email"]') || null;
-      const messageField = form.querySelector('[name="message"], textarea[name="message"], [id="message"]') || null;
-
-      // Prepare UI for inline error messages
-      function ensureErrorEl(field) {
-        if (!field) return null;
-        let err = field.parentElement && field.parentElement.querySelector('.form-error');
-        if (!err) {
-          err = document.createElement('div');
-          err.className = 'form-error';
-          err.setAttribute('aria-live', 'polite');
-          field.parentElement.appendChild(err);
-        }
-        return err;
-      }
+    const plugins = []; // registered definitions, in setup order
+    const running = new Map(); // name -> { plugin, ctx, listeners, dom, cleanup }
 
-      function clearError(field) {
-        if (!field) return;
-        field.removeAttribute('aria-invalid');
-        const err = field.parentElement && field.parentElement.querySelector('.form-error');
-        if (err) err.textContent = '';
+    function isPluginEnabled(plugin) {
+      if (opts[plugin.name] === false || (scoped && plugin.documentOnly)) return false;
+      if (typeof plugin.enabled !== 'function') return true;
+      try {
+        return !!plugin.enabled(opts);
+      } catch (e) {
+        Logger.warn(`Plugin "${plugin.name}": enabled() threw; skipping`, e);
+        return false;
       }
+    }
 
-      function showError(field, message) {
-        if (!field) return;
-        field.setAttribute('aria-invalid', 'true');
-        const err = ensureErrorEl(field);
-        setText(err, message);
+    function startPlugin(plugin) {
+      if (running.has(plugin.name) || !isPluginEnabled(plugin)) return;
+      const own = opts[plugin.name];
+      const listeners = createListenerGroup();
+      const dom = createMutationJournal();
+      const ctx = {
+        name: plugin.name,
+        options: Object.assign({}, plugin.defaults, own && typeof own === 'object' ? own : null),
+        config: opts,
+        addListener: listeners.add,
+        dom,
+        Logger: Logger.ns(plugin.name),
+        root,
+        query,
+        queryAll,
+        focusAndReveal,
+        emit: Events.emit,
+        t: (key, params) => I18n.t(key, params, opts.messages),
+        app,
+      };
+      const entry = { plugin, ctx, listeners, dom, cleanup: null };
+      running.set(plugin.name, entry);
+      try {
+        const cleanup = plugin.setup(ctx);
+        if (typeof cleanup === 'function') entry.cleanup = cleanup;
+        Logger.debug(`Plugin "${plugin.name}" set up`);
+      } catch (e) {
+        Logger.error(`Plugin "${plugin.name}" failed to set up`, e);
+        stopPlugin(plugin.name);
       }
+    }
 
-      function validateForm() {
-        const errors = [];
-        const nameVal = nameField ? (nameField.value || '').trim() : '';
-        const emailVal = emailField ? (emailField.value || '').trim() : '';
-        const msgVal = messageField ? (messageField.value || '').trim() : '';
-
-        if (nameField && !nameVal) errors.push({ field: nameField, message: opts.messages.nameRequired });
-        if (emailField && !emailVal) errors.push({ field: emailField, message: opts.messages.emailRequired });
-        if (emailField && emailVal && !isValidEmail(emailVal)) errors.push({ field: emailField, message: opts.messages.emailInvalid });
-        if (messageField && !msgVal) errors.push({ field: messageField, message: opts.messages.messageRequired });
-
-        return errors;
+    function stopPlugin(name) {
+      const entry = running.get(name);
+      if (!entry) return;
+      running.delete(name);
+      try {
+        if (entry.cleanup) entry.cleanup();
+        if (typeof entry.plugin.teardown === 'function') entry.plugin.teardown(entry.ctx);
+      } catch (e) {
+        Logger.warn(`Plugin "${name}" teardown error`, e);
       }
+      entry.listeners.removeAll();
+      entry.dom.revert();
+    }
 
-      function clearAllErrors() {
-        [nameField, emailField, messageField].forEach(clearError);
+    /**
+     * Register a plugin. Registering a different plugin under an existing name replaces it.
+     * @param {Object} plugin
+     * @returns {Object} SiteApp (chainable)
+     */
+    function use(plugin) {
+      if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new TypeError('SiteApp.use expects a plugin object with a name');
       }
-
-      function showFormSuccess() {
-        // find or create a success message element
-        let successEl = form.querySelector('.form-success');
-        if (!successEl) {
-          successEl = document.createElement('div');
-          successEl.className = 'form-success';
-          successEl.setAttribute('role', 'status');
-          successEl.setAttribute('aria-live', 'polite');
-          form.insertBefore(successEl, form.firstChild);
-        }
-        setText(successEl, opts.messages.successMessage);
+      if (typeof plugin.setup !== 'function') {
+        throw new TypeError(`Plugin "${plugin.name}" must provide setup(ctx)`);
       }
-
-      function persistDraft() {
-        try {
-          const draft = {
-            name: nameField ? (nameField.value || '') : '',
-            email: emailField ? (emailField.value || '') : '',
-            message: messageField ? (messageField.value || '') : '',
-            ts: Date.now(),
-          };
-          localStorage.setItem(opts.contactDraftKey, JSON.stringify(draft));
-          state.formDraft = draft;
-          Logger.debug('Contact draft saved', draft);
-        } catch (e) {
-          Logger.warn('Could not save draft to localStorage', e);
-        }
+      const index = plugins.findIndex(p => p.name === plugin.name);
+      if (index !== -1) {
+        if (plugins[index] === plugin) return app;
+        Logger.warn(`Plugin "${plugin.name}" replaced`);
+        stopPlugin(plugin.name);
+        plugins[index] = plugin;
+      } else {
+        plugins.push(plugin);
       }
+      if (state.initialized) startPlugin(plugin);
+      return app;
+    }
 
-      function restoreDraft() {
-        try {
-          const raw = localStorage.getItem(opts.contactDraftKey);
-          if (!raw) return;
-          const draft = JSON.parse(raw);
-          if (!draft) return;
-          if (nameField && draft.name) nameField.value = draft.name;
-          if (emailField && draft.email) emailField.value = draft.email;
-          if (messageField && draft.message) messageField.value = draft.message;
-          state.formDraft = draft;
-          Logger.debug('Contact draft restored', draft);
-        } catch (e) {
-          Logger.warn('Could not restore draft from localStorage', e);
-        }
+    // Built-in features, set up in this order
+    plugins.push(
+      // first, so it sees what the others emit while they set up
+      {
+        name: 'analytics',
+        defaults: ANALYTICS_DEFAULTS,
+        schema: {
+          sink: [{ type: 'string', oneOf: ['console', 'beacon'] }, 'function'],
+          batchSize: { type: 'number', min: 1, integer: true },
+          flushMs: NON_NEGATIVE,
+          ctaSelector: 'selector',
+        },
+        setup: setupAnalytics,
+      },
+      // before the forms, which only keep drafts with consent
+      {
+        name: 'consent',
+        documentOnly: true, // one banner and record per page; scoped apps follow it
+        defaults: CONSENT_DEFAULTS,
+        schema: { version: { type: 'number', min: 1, integer: true }, openSelector: 'selector' },
+        setup: setupConsent,
+      },
+      {
+        name: 'theme',
+        documentOnly: true, // <html data-theme>
+        defaults: THEME_DEFAULTS,
+        schema: { defaultMode: { type: 'string', oneOf: THEME_MODES }, toggleSelector: 'selector' },
+        setup: setupTheme,
+      },
+      // before the modules below, so they find the rendered items
+      {
+        name: 'content',
+        defaults: CONTENT_DEFAULTS,
+        schema: { data: ['object', 'null'], src: 'string', featuredFirst: 'boolean' },
+        enabled: c => !!(c.content && (c.content.data || c.content.src)),
+        setup: setupContent,
+      },
+      // page chrome: locks scrolling and makes the rest of the page inert while open
+      { name: 'mobileNav', documentOnly: true, enabled: c => c.enableMobileNav, setup: setupMobileNav },
+      { name: 'smoothScroll', enabled: c => c.enableSmoothScroll, setup: setupSmoothScroll },
+      {
+        name: 'formEnhancer',
+        setup: setupForms,
+        teardown: () => Array.from(state.forms.values()).forEach(ctl => ctl.teardown()),
+      },
+      {
+        // replay anything left in the outbox by a previous page view
+        name: 'outbox',
+        setup: ctx => outbox.start(ctx),
+        teardown: () => outbox.stop(),
+      },
+      {
+        name: 'stepper',
+        defaults: STEPPER_DEFAULTS,
+        schema: {
+          selector: 'selector',
+          stepSelector: 'selector',
+          prevSelector: 'selector',
+          nextSelector: 'selector',
+          indicatorsSelector: 'selector',
+          indicatorSelector: 'selector',
+          autoplayMs: NON_NEGATIVE,
+          autoplayToggleSelector: 'selector',
+          swipeDistance: NON_NEGATIVE,
+          swipeVelocity: NON_NEGATIVE,
+          swipeSnapMs: NON_NEGATIVE,
+          deepLink: { type: 'string', oneOf: ['', 'hash', 'query'] },
+          linkHistory: { type: 'string', oneOf: ['push', 'replace'] },
+        },
+        setup: setupSteppers,
+      },
+      // after the steppers, so links into their steps are left out
+      {
+        name: 'scrollSpy',
+        documentOnly: true, // follows the viewport and the page's nav
+        defaults: SCROLL_SPY_DEFAULTS,
+        schema: { linkSelector: 'selector', line: { type: 'number', min: 0, max: 1 } },
+        setup: setupScrollSpy,
       }
+    );
 
-      const debouncedPersist = debounce(persistDraft, opts.formDebounceMs);
+    /**
+     * Diagnostics
+     *
+     * While SiteApp runs with logger.captureErrors, uncaught errors and unhandled rejections are
+     * logged as 'SiteApp:errors'. Each distinct error (message and location) is sampled once
+     * (logger.errorSampleRate) and reported at most once per page view; repeats only raise the
+     * entry's `count`, and errors beyond logger.maxErrors distinct ones are ignored.
+     */
+    const seenErrors = new Map(); // key -> logged entry, or null when sampled out
 
-      // Input handler to persist drafts and clear related errors
-      function onInput(e) {
-        const field = e.target;
-        if (!field) return;
-        clearError(field);
-        debouncedPersist();
+    function reportError(key, args, extra) {
+      if (seenErrors.has(key)) {
+        const entry = seenErrors.get(key);
+        if (entry) entry.count += 1;
+        return;
       }
+      if (seenErrors.size >= opts.logger.maxErrors) return;
+      const sampled = Math.random() < opts.logger.errorSampleRate;
+      seenErrors.set(key, sampled ? Logger.write('error', 'errors', args, Object.assign({ captured: true, count: 1 }, extra)) : null);
+    }
 
-      function handleSubmit(ev) {
-        ev.preventDefault();
-        clearAllErrors();
-        const errors = validateForm();
-        if (errors.length) {
-          // show errors and focus first
-          errors.forEach(err => showError(err.field, err.message));
-          const first = errors[0].field;
-          try { first.focus(); } catch (_) { /* ignore */ }
-          return;
-        }
-
-        // Simulate success (no backend)
-        try {
-          // remove draft after successful submit
-          localStorage.removeItem(opts.contactDraftKey);
-          state.formDraft = null;
-        } catch (e) {
-          Logger.warn('Could not remove draft', e);
-        }
+    let errorListeners = null;
 
-        showFormSuccess();
-        // Optionally clear form fields
-        try {
-          ev.target.reset();
-        } catch (e) { /* ignore */ }
+    function captureErrors(o) {
+      if (errorListeners) errorListeners.removeAll();
+      errorListeners = createListenerGroup();
+      if (!o.captureErrors) return;
+      errorListeners.add(global, 'error', ev => {
+        const error = ev.error instanceof Error ? ev.error : null;
+        const message = ev.message || (error && error.message) || 'Script error';
+        const source = ev.filename ? `${ev.filename}:${ev.lineno || 0}:${ev.colno || 0}` : '';
+        reportError(`error|${message}|${source}`, ['Uncaught', error || message], source ? { source } : null);
+      }, false);
+      errorListeners.add(global, 'unhandledrejection', ev => {
+        const reason = ev.reason;
+        const message = reason instanceof Error ? `${reason.name}: ${reason.message}` : String(reason);
+        reportError(`rejection|${message}`, ['Unhandled rejection', reason]);
+      }, false);
+    }
 
-        Logger.info('Contact form validated and submitted (simulated)');
+    function describeTarget(target) {
+      if (target === global) return 'window';
+      if (target === document) return 'document';
+      if (target && target.nodeType === 1) {
+        const cls = typeof target.className === 'string' && target.className.trim() ? `.${target.className.trim().split(/\s+/).join('.')}` : '';
+        return `${target.tagName.toLowerCase()}${target.id ? `#${target.id}` : ''}${cls}`;
       }
+      return (target && target.constructor && target.constructor.name) || typeof target;
+    }
 
-      // Restore any saved draft
-      restoreDraft();
-
-      // Attach handlers
-      addListener(form, 'input', onInput, false);
-      addListener(form, 'change', onInput, false);
-      addListener(form, 'submit', handleSubmit, false);
+    /**
+     * Snapshot for support ("paste this into the ticket"): recent log entries, active options
+     * (functions shown by name), running plugins, enhanced forms, registered listeners and
+     * captured errors. Plain JSON; field values are not included.
+     * @returns {Object}
+     */
+    function getDiagnostics() {
+      const listeners = [];
+      state.handlers.forEach(h => {
+        const target = describeTarget(h.target);
+        const same = listeners.find(l => l.target === target && l.type === h.type);
+        if (same) same.count += 1;
+        else listeners.push({ target, type: h.type, count: 1 });
+      });
+      let options = null;
+      try {
+        options = JSON.parse(JSON.stringify(opts, (k, v) => (typeof v === 'function' ? `[function ${v.name || 'anonymous'}]` : v)));
+      } catch (e) {
+        options = { error: `Options could not be serialized: ${e.message}` };
+      }
+      return {
+        time: new Date().toISOString(),
+        url: location.href,
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+        locale: I18n.getLocale(),
+        initialized: state.initialized,
+        plugins: Array.from(running.keys()),
+        forms: Array.from(state.forms.values()).map(ctl => ctl.key),
+        options,
+        listeners,
+        errors: Array.from(seenErrors.values()).filter(Boolean).map(e => ({ time: e.time, message: e.message, source: e.source, count: e.count })),
+        log: Logger.entries(),
+      };
     }
 
     /**
@@ -610,34 +5428,47 @@
     function init(options) {
       if (state.initialized) {
         Logger.warn('SiteApp already initialized; ignoring duplicate init.');
-        return SiteApp;
+        return app;
       }
 
+      const declared = readPageConfig(root);
       try {
+        validateOptions(declared);
         validateOptions(options);
       } catch (e) {
         console.error('SiteApp.init invalid options', e);
         throw e;
       }
 
-      opts = Object.assign({}, DEFAULTS, options || {});
-      // set logger level if provided
-      if (opts.logger && opts.logger.level) Logger.setLevel(opts.logger.level);
+      opts = mergeOptions(mergeOptions(mergeOptions(DEFAULTS, appDefaults), declared), options);
+      // logging and error capture are page-wide, set up by SiteApp
+      if (!scoped) {
+        Logger.configure(opts.logger);
+        captureErrors(opts.logger);
+      }
 
       Logger.debug('Initializing with options', opts);
+      applyLocaleOptions();
 
-      try {
-        if (opts.enableMobileNav) setupMobileNav();
-        if (opts.enableSmoothScroll) setupSmoothScroll();
-        if (opts.enableContactForm) setupContactForm();
-      } catch (e) {
-        Logger.error('Initialization error', e);
-      }
-
-      // mark initialized
+      // a scoped app takes its root over from the apps around it before enhancing anything
+      if (scoped) claimScope(root, app);
+      scopeWatchers.add(onScopeChange);
+      // mark initialized first so plugins registered during setup start right away
       state.initialized = true;
+      plugins.slice().forEach(startPlugin);
+      if (scoped) {
+        const unfollowConsent = consent.follow();
+        const unfollowLocale = SiteApp.on('locale-change', detail => relocalizeForms(detail.locale));
+        state.unfollow = () => {
+          unfollowConsent();
+          unfollowLocale();
+        };
+      } else {
+        markPage('enhanced');
+      }
+      Events.emit('init', { options: opts, plugins: Array.from(running.keys()) });
 
-      return SiteApp;
+      return app;
     }
 
     function teardown() {
@@ -645,11 +5476,21 @@
         Logger.debug('SiteApp not initialized; nothing to teardown.');
         return;
       }
+      Array.from(running.keys()).reverse().forEach(stopPlugin);
+      // steppers created through SiteApp.Stepper() and forms through forms.enhance() go too
+      Array.from(state.steppers.values()).forEach(s => s.destroy());
+      Array.from(state.forms.values()).forEach(ctl => ctl.teardown());
       removeAllListeners();
+      if (state.unfollow) {
+        state.unfollow();
+        state.unfollow = null;
+      }
+      Logger.flush();
 
       // Clean up any tabindex attributes added by focusAndReveal, restoring previous values
       try {
         _revealedSet.forEach(el => {
+          if (!inScope(el)) return; // another app's
           try {
             const prev = _revealedPrevTabIndex.get(el);
             if (prev === null || prev === undefined) {
@@ -661,331 +5502,245 @@
             }
           } catch (_) { /* ignore individual failures */ }
           try { _revealedPrevTabIndex.delete(el); } catch (_) {}
+          _revealedSet.delete(el);
         });
-        _revealedSet.clear();
       } catch (e) {
         Logger.debug('Error cleaning revealed elements during teardown', e);
       }
 
       state.initialized = false;
+      scopeWatchers.delete(onScopeChange);
+      if (scoped) releaseScope(root);
+      else markPage('loaded');
       Logger.info('SiteApp torn down');
+      Events.emit('teardown', {});
     }
 
-    // Expose public API (do not expose internals in production)
-    return {
-      init,
-      teardown
-    };
-  })();
-
-  // Safe auto-init on DOMContentLoaded unless explicitly disabled
-  function ensureAutoInit() {
-    try {
-      // allow opt-out for tests or manual initialization
-      if (global.__SITEAPP_NO_AUTO_INIT) {
-        Logger && Logger.debug && Logger.debug('Auto-init disabled via __SITEAPP_NO_AUTO_INIT');
-        return;
-      }
-      // if tests harness is enabled, tests will call init explicitly
-      if (global.__SITEAPP_ENABLE_TESTS) {
-        Logger && Logger.debug && Logger.debug('Auto-init skipped because __SITEAPP_ENABLE_TESTS is true');
+    // Locale bundles and the active locale are page-wide: SiteApp resets them from its options,
+    // a scoped app only adds its `locales` (its `messages` stay its own)
+    function applyLocaleOptions() {
+      if (scoped) {
+        if (opts.locale) Logger.warn('The locale is page-wide; a scoped app follows SiteApp.setLocale() and ignores its `locale` option');
+        I18n.addBundles(opts.locales);
         return;
       }
+      I18n.reset();
+      I18n.addBundles(opts.locales);
+      I18n.setLocale(opts.locale);
+    }
 
-      function onReady() {
+    function relocalizeForms(tag) {
+      state.forms.forEach(ctl => {
         try {
-          // Only initialize once
-          SiteApp.init();
+          ctl.relocalize();
         } catch (e) {
-          console.error('SiteApp failed to initialize', e);
+          Logger.warn(`Form "${ctl.key}" could not re-render for locale ${tag}`, e);
         }
-      }
-
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', onReady, { once: true, passive: true });
-      } else {
-        // already ready
-        setTimeout(onReady, 0);
-      }
-    } catch (e) {
-      // fallback
-      setTimeout(() => {
-        try { SiteApp.init(); } catch (_) {}
-      }, 0);
+      });
     }
-  }
-
-  // Attach to global for potential external usage (only the public API)
-  try {
-    if (!global.SiteApp) global.SiteApp = SiteApp;
-  } catch (e) {
-    // ignore
-  }
 
-  ensureAutoInit();
-
-  /**
-   * initDemo()
-   *
-   * Lightweight interactions for demo.html.
-   * Guarded so it only initializes on demo pages:
-   * - location.pathname endsWith demo.html OR
-   * - <body data-page="demo"> is set
-   *
-   * Features:
-   * - Workflow stepper/carousel controlled by prev/next and indicators
-   * - Keyboard navigation (Left/Right/Home/End, Enter/Space to activate)
-   * - aria-live announcement for step changes
-   * - Pauses autoplay on visibility change and user interaction
-   */
-  (function initDemoGuarded() {
-    function isDemoPage() {
-      try {
-        if (document.body && document.body.dataset && document.body.dataset.page === 'demo') return true;
-        return /demo\.html$/.test(location.pathname);
-      } catch (e) {
-        return false;
-      }
+    /**
+     * Switch the UI language at runtime. Re-renders live text (status and alert messages, draft
+     * prompts, demo labels and announcer) and re-validates fields showing a client-side error.
+     * The locale is page-wide, so on a scoped app this is SiteApp.setLocale().
+     * @param {string} locale BCP 47 tag, e.g. 'es' or 'de-AT'; empty follows <html lang>
+     * @returns {string} the locale now in use
+     */
+    function setLocale(locale) {
+      if (scoped) return SiteApp.setLocale(locale);
+      const tag = I18n.setLocale(locale);
+      relocalizeForms(tag);
+      Events.emit('locale-change', { locale: tag });
+      return tag;
     }
 
-    if (!isDemoPage()) return;
-
-    function initDemo() {
-      // Wait till DOM ready
-      function onReady() {
-        try {
-          const workflowContainer = document.getElementById('demo-workflow') || document.querySelector('.demo-workflow');
-          if (!workflowContainer) {
-            Logger.debug('Demo: workflow container not found (no demo interactions will be initialized).');
-            return;
-          }
-
-          const slides = Array.from(workflowContainer.querySelectorAll('.workflow-step'));
-          if (!slides || !slides.length) {
-            Logger.debug('Demo: no workflow steps found inside workflow container.');
-            return;
-          }
-
-          // Build lightweight controls if not provided
-          let controls = workflowContainer.querySelector('.workflow-controls');
-          if (!controls) {
-            controls = document.createElement('div');
-            controls.className = 'workflow-controls';
-            controls.innerHTML = `
-              <button class="workflow-prev" aria-label="Previous step">?</button>
-              <div class="workflow-indicators" role="tablist"></div>
-              <button class="workflow-next" aria-label="Next step">?</button>
-            `;
-            workflowContainer.appendChild(controls);
-          }
-
-          const prevBtn = controls.querySelector('.workflow-prev');
-          const nextBtn = controls.querySelector('.workflow-next');
-          const indicatorsContainer = controls.querySelector('.workflow-indicators');
-
-          // Create indicators if not present
-          if (!indicatorsContainer) {
-            Logger.debug('Demo: indicators container not present and could not be created.');
-          }
-
-          // Create indicator buttons (tabs)
-          indicatorsContainer.innerHTML = '';
-          slides.forEach((s, i) => {
-            const btn = document.createElement('button');
-            btn.type = 'button';
-            btn.className = 'workflow-indicator';
-            btn.setAttribute('role', 'tab');
-            btn.setAttribute('aria-selected', 'false');
-            btn.setAttribute('aria-controls', s.id || `workflow-step-${i}`);
-            btn.id = `workflow-indicator-${i}`;
-            btn.dataset.index = String(i);
-            btn.title = `Go to step ${i + 1}`;
-            btn.innerHTML = `<span class="indicator-label">Step ${i + 1}</span>`;
-            indicatorsContainer.appendChild(btn);
-            // ensure the slide has an id
-            if (!s.id) s.id = `workflow-step-${i}`;
-            s.setAttribute('role', 'tabpanel');
-            s.setAttribute('aria-labelledby', btn.id);
-          });
-
-          // announcer for screen readers
-          let announcer = workflowContainer.querySelector('.demo-announcer');
-          if (!announcer) {
-            announcer = document.createElement('div');
-            announcer.className = 'demo-announcer';
-            announcer.setAttribute('aria-live', 'polite');
-            announcer.setAttribute('aria-atomic', 'true');
-            announcer.style.position = 'absolute';
-            announcer.style.left = '-9999px';
-            announcer.style.width = '1px';
-            announcer.style.height = '1px';
-            announcer.style.overflow = 'hidden';
-            workflowContainer.appendChild(announcer);
-          }
-
-          let currentIndex = 0;
-          const indicatorButtons = Array.from(indicatorsContainer.querySelectorAll('.workflow-indicator'));
-
-          // Accessibility: make the workflow container focusable for keyboard handling
-          if (!workflowContainer.hasAttribute('tabindex')) workflowContainer.setAttribute('tabindex', '0');
-
-          function updateActive(index, opts) {
-            opts = opts || {};
-            index = Math.max(0, Math.min(slides.length - 1, index));
-            if (index === currentIndex && !opts.force) return;
-            slides.forEach((s, idx) => {
-              const active = idx === index;
-              s.classList.toggle('is-active', active);
-              s.setAttribute('aria-hidden', active ? 'false' : 'true');
-              if (active) {
-                // prefer to reveal the heading inside the step for better focusing
-                const heading = s.querySelector('h2, h3, h4') || s;
-                try { heading && heading.focus && heading.focus({ preventScroll: true }); } catch (_) { try { heading && heading.focus && heading.focus(); } catch (__) { /* ignore */ } }
-              }
-            });
-
-            indicatorButtons.forEach((b, idx) => {
-              const sel = idx === index;
-              b.setAttribute('aria-selected', sel ? 'true' : 'false');
-              b.classList.toggle('is-active', sel);
-            });
-
-            currentIndex = index;
-            // Announce the newly active step
-            try {
-              const headingText = (slides[currentIndex].querySelector('h2, h3, h4') || slides[currentIndex]).textContent.trim();
-              announcer.textContent = `Step ${currentIndex + 1} of ${slides.length}: ${headingText}`;
-            } catch (e) {
-              announcer.textContent = `Step ${currentIndex + 1} of ${slides.length}`;
-            }
-            // update styling hook for container
-            workflowContainer.setAttribute('data-active', String(currentIndex));
-          }
-
-          function nextSlide() {
-            updateActive((currentIndex + 1) % slides.length);
-          }
-          function prevSlide() {
-            updateActive((currentIndex - 1 + slides.length) % slides.length);
-          }
-          function goTo(index) {
-            updateActive(index);
-          }
+    // Options each built-in module reads when it is set up; configure() restarts the module when
+    // one of them changes. Plugins also restart when their own option (opts[name]) changes.
+    const MODULE_OPTIONS = {
+      mobileNav: ['enableMobileNav', 'mobileNavToggleSelector', 'mobileNavContainerSelector', 'mobileNavOpenClass', 'mobileNavBreakpoint'],
+      smoothScroll: ['enableSmoothScroll', 'smoothScrollSelector', 'smoothScrollOffset', 'smoothScrollHistory'],
+      formEnhancer: [
+        'enableContactForm', 'contactFormSelector', 'contactDraftKey', 'contactTransport', 'contactEndpoint',
+        'contactTimeoutMs', 'enableOutbox', 'formSelector', 'formDraftKeyPrefix', 'forms', 'contactRules',
+        'contactFormRules', 'validateOnBlur', 'formDebounceMs', 'draftTtlMs', 'draftRestore', 'draftSync', 'spam',
+      ],
+      outbox: ['enableOutbox', 'contactOutboxKey', 'outboxBackoffMs', 'outboxMaxBackoffMs'],
+    };
+    const LOCALE_OPTIONS = ['locale', 'locales', 'messages'];
 
-          // Click handlers
-          addDemoListeners();
+    function sameOption(a, b) {
+      if (a === b) return true;
+      if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => sameOption(v, b[i]));
+      if (!isPlainObject(a) || !isPlainObject(b)) return false;
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(k => sameOption(a[k], b[k]));
+    }
 
-          function addDemoListeners() {
-            if (prevBtn) addListener(prevBtn, 'click', function () { prevSlide(); }, false);
-            if (nextBtn) addListener(nextBtn, 'click', function () { nextSlide(); }, false);
+    /**
+     * Change options of the running app without a full teardown()/init(). `partial` is validated
+     * and merged deeply over the current options; only modules that read a changed option are
+     * torn down and set up again (in-flight submissions of a restarted form are aborted), while
+     * logger, locale and message changes apply in place. Emits `config-change` { changed, restarted }.
+     * @param {Object} partial
+     * @returns {Object} SiteApp (chainable)
+     */
+    function configure(partial) {
+      if (!state.initialized) throw new Error('SiteApp.configure needs a running app; call SiteApp.init() first');
+      validateOptions(partial, 'SiteApp.configure');
+      const next = mergeOptions(opts, partial);
+      const changed = Object.keys(partial || {}).filter(key => !sameOption(opts[key], next[key]));
+      if (!changed.length) return app;
 
-            indicatorButtons.forEach(btn => {
-              addListener(btn, 'click', function (ev) {
-                const idx = parseInt(ev.currentTarget.dataset.index, 10);
-                if (!Number.isNaN(idx)) goTo(idx);
-              }, false);
-            });
+      const affected = new Set();
+      changed.forEach(key => {
+        Object.keys(MODULE_OPTIONS).forEach(name => {
+          if (MODULE_OPTIONS[name].indexOf(key) !== -1) affected.add(name);
+        });
+        if (plugins.some(p => p.name === key)) affected.add(key);
+      });
+      // forms enhanced through SiteApp.forms.enhance() come back with their own config
+      const enhanced = affected.has('formEnhancer')
+        ? Array.from(state.forms.values()).filter(ctl => ctl.manual).map(ctl => ({ form: ctl.form, key: ctl.key, overrides: ctl.overrides }))
+        : [];
+      plugins.filter(p => affected.has(p.name) && running.has(p.name)).reverse().forEach(p => stopPlugin(p.name));
 
-            // Keyboard navigation on the container
-            addListener(workflowContainer, 'keydown', function (ev) {
-              const key = ev.key || ev.code;
-              // Normalize space detection (Spacebar for older browsers)
-              const isSpace = (key === ' ' || key === 'Spacebar' || key === 'Space' || ev.code === 'Space');
-              switch (key) {
-                case 'ArrowLeft':
-                case 'Left':
-                  ev.preventDefault();
-                  prevSlide();
-                  break;
-                case 'ArrowRight':
-                case 'Right':
-                  ev.preventDefault();
-                  nextSlide();
-                  break;
-                case 'Home':
-                  ev.preventDefault();
-                  goTo(0);
-                  break;
-                case 'End':
-                  ev.preventDefault();
-                  goTo(slides.length - 1);
-                  break;
-                default:
-                  if (isSpace) {
-                    // When focused on an indicator, treat space as activation
-                    const active = document.activeElement;
-                    if (indicatorButtons.includes(active)) {
-                      ev.preventDefault();
-                      active.click && active.click();
-                    }
-                  }
-                  break;
-              }
-            }, false);
+      opts = next;
+      if (changed.indexOf('logger') !== -1 && !scoped) {
+        Logger.configure(opts.logger);
+        captureErrors(opts.logger);
+      }
+      // a plugin switched on (or back on) starts here; one switched off was stopped above
+      plugins.slice().forEach(p => {
+        if (affected.has(p.name)) startPlugin(p);
+      });
+      enhanced.forEach(f => {
+        if (!state.forms.has(f.form) && f.form.isConnected) enhanceForm(f.form, f.key, f.overrides).manual = true;
+      });
+      if (changed.some(key => LOCALE_OPTIONS.indexOf(key) !== -1)) {
+        applyLocaleOptions();
+        if (scoped) relocalizeForms(I18n.getLocale());
+        else setLocale(opts.locale);
+      }
 
-            // Announce initial state
-            updateActive(0, { force: true });
-          }
+      const restarted = plugins.filter(p => affected.has(p.name) && running.has(p.name)).map(p => p.name);
+      Logger.debug('Reconfigured', changed, 'restarted', restarted);
+      Events.emit('config-change', { changed, restarted });
+      return app;
+    }
 
-          // Autoplay: subtle auto-advance, paused on user interaction/visibilitychange
-          let autoplayInterval = null;
-          const AUTO_MS = 6000;
-          function startAutoplay() {
-            if (autoplayInterval) return;
-            autoplayInterval = setInterval(() => {
-              nextSlide();
-            }, AUTO_MS);
-            // track in state if desired (not currently)
-          }
-          function stopAutoplay() {
-            if (autoplayInterval) {
-              clearInterval(autoplayInterval);
-              autoplayInterval = null;
-            }
-          }
+    // Expose public API (do not expose internals in production)
+    app = {
+      init,
+      teardown,
+      use,
+      configure,
+      setLocale,
+      getLocale: I18n.getLocale,
+      on: Events.on,
+      off: Events.off,
+      once: Events.once,
+      t: (key, params) => I18n.t(key, params, opts.messages),
+      getDiagnostics,
+      forms: formsApi,
+      outbox: outbox.api,
+      analytics: analytics.api,
+      consent: consent.api,
+      theme: theme.api,
+      Stepper,
+    };
+    return app;
+  }
 
-          // Start autoplay but pause on interaction
-          startAutoplay();
+  const SiteApp = createSiteApp(document);
 
-          addListener(workflowContainer, 'mouseenter', stopAutoplay, false);
-          addListener(workflowContainer, 'mouseleave', startAutoplay, false);
-          addListener(workflowContainer, 'focusin', stopAutoplay, false);
-          addListener(workflowContainer, 'focusout', startAutoplay, false);
+  let appSeq = 0;
 
-          // Pause on hidden page
-          addListener(document, 'visibilitychange', function () {
-            if (document.hidden) stopAutoplay();
-            else startAutoplay();
-          }, false);
+  /**
+   * Create and initialize an app confined to `options.root` (an element or a ShadowRoot): it only
+   * queries, enhances and listens inside that root and has its own options, events, forms and
+   * teardown. Drafts and the outbox are stored under keys suffixed with `options.name` (default:
+   * the id of the root or its shadow host), so give it a stable one. Page-wide features
+   * (consent banner, theme, mobile nav, scroll spy, logging setup) stay with SiteApp; a scoped
+   * app follows its locale and consent choices. Forms and steppers that SiteApp (or an app around
+   * the root) enhanced inside the root are handed over to the new app, and back on its teardown.
+   * @param {{ root: Element|ShadowRoot, name?: string }} options plus any SiteApp.init() option
+   * @returns {Object} the app, with the same API as SiteApp
+   */
+  function create(options) {
+    const { root, name, ...rest } = options || {};
+    if (!root || (root.nodeType !== 1 && root.nodeType !== 11)) {
+      throw new TypeError('SiteApp.create expects { root } to be an element or a ShadowRoot');
+    }
+    if (scopedApps.has(root)) throw new Error('SiteApp.create: this root already has an app; tear it down first');
 
-          // Cleanup: ensure autoplay stopped before unload
-          addListener(window, 'beforeunload', stopAutoplay, false);
+    let id = name || root.id || (root.host && root.host.id);
+    if (!id) {
+      id = `app-${++appSeq}`;
+      Logger.warn(`SiteApp.create: no name or root id given; drafts are stored under "${id}", which may change between page loads`);
+    }
+    const app = createSiteApp(root, {
+      contactDraftKey: `${DEFAULTS.contactDraftKey}:${id}`,
+      formDraftKeyPrefix: `${DEFAULTS.formDraftKeyPrefix}${id}:`,
+      contactOutboxKey: `${DEFAULTS.contactOutboxKey}:${id}`,
+    });
+    app.init(rest);
+    return app;
+  }
+  SiteApp.create = create;
+
+  // Safe auto-init on DOMContentLoaded unless explicitly disabled
+  function ensureAutoInit() {
+    try {
+      // allow opt-out for tests or manual initialization
+      if (global.__SITEAPP_NO_AUTO_INIT) {
+        Logger && Logger.debug && Logger.debug('Auto-init disabled via __SITEAPP_NO_AUTO_INIT');
+        return;
+      }
+      // if tests harness is enabled, tests will call init explicitly
+      if (global.__SITEAPP_ENABLE_TESTS) {
+        Logger && Logger.debug && Logger.debug('Auto-init skipped because __SITEAPP_ENABLE_TESTS is true');
+        return;
+      }
 
-          Logger.info('Demo: workflow initialized with', slides.length, 'steps');
+      function onReady() {
+        try {
+          // Only initialize once
+          SiteApp.init();
         } catch (e) {
-          Logger.warn('Demo: initialization error', e);
+          console.error('SiteApp failed to initialize', e);
         }
       }
 
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', onReady, { once: true, passive: true });
       } else {
+        // already ready
         setTimeout(onReady, 0);
       }
-    }
-
-    // Run initDemo immediately
-    try {
-      initDemo();
     } catch (e) {
-      Logger.warn('Demo init failed', e);
+      // fallback
+      setTimeout(() => {
+        try { SiteApp.init(); } catch (_) {}
+      }, 0);
     }
-  })();
+  }
+
+  // Attach to global for potential external usage (only the public API)
+  try {
+    if (!global.SiteApp) global.SiteApp = SiteApp;
+  } catch (e) {
+    // ignore
+  }
+
+  // Tell inline fallbacks that this script handles the page (see Declarative configuration)
+  markPage('loaded');
+  ensureAutoInit();
 
   /**
    * Minimal in-file test harness (created when global.__SITEAPP_ENABLE_TESTS is true).
-   * This provides three small checks: mobile nav toggle, smooth-scroll anchor behavior,
-   * and contact form validation/persistence. Intended for lightweight local dev checks.
+   * run(done) goes through the numbered checks below in order, one per feature, each on
+   * throwaway markup and through the public API, and hands every assertion's result to `done`.
+   * Intended for lightweight local dev checks.
    */
   try {
     if (global.__SITEAPP_ENABLE_TESTS) {
@@ -1014,15 +5769,33 @@
             document.body.appendChild(toggle);
             document.body.appendChild(nav);
 
-            SiteApp.init();
+            const page = document.createElement('div');
+            page.innerHTML = '<button type="button">Outside</button>';
+            document.body.appendChild(page);
+            const inertOn = () => page.inert === true || page.getAttribute('aria-hidden') === 'true';
+
+            SiteApp.init({ mobileNavBreakpoint: '' });
             toggle.click();
             assert(document.body.classList.contains(DEFAULTS.mobileNavOpenClass), 'Mobile nav should open on toggle click');
+            assert(inertOn() && document.body.style.overflow === 'hidden', 'An open mobile nav should make the page inert and lock scrolling');
+            a.focus();
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true }));
+            assert(document.activeElement === toggle, 'Tab from the last menu item should wrap to the toggle');
             toggle.click();
             assert(!document.body.classList.contains(DEFAULTS.mobileNavOpenClass), 'Mobile nav should close on second toggle click');
+            assert(!inertOn() && document.body.style.overflow === '', 'Closing the nav should restore the page');
+            toggle.click();
+            a.href = '#nav-test-anchor';
+            const stay = ev => ev.preventDefault();
+            window.addEventListener('click', stay);
+            a.click();
+            window.removeEventListener('click', stay);
+            assert(!document.body.classList.contains(DEFAULTS.mobileNavOpenClass), 'Following a same-page link should close the nav');
             SiteApp.teardown();
             // cleanup
             document.body.removeChild(toggle);
             document.body.removeChild(nav);
+            document.body.removeChild(page);
           })();
 
           // 2) Smooth scroll anchor behavior
@@ -1037,12 +5810,15 @@
             document.body.appendChild(anchor);
             document.body.appendChild(target);
 
-            SiteApp.init();
+            const original = location.href;
+            SiteApp.init({ smoothScrollHistory: 'replace' });
             const evt = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
             anchor.dispatchEvent(evt);
             // Immediately after dispatch the target should have been focused and tabindex applied temporarily
             const hasTab = target.getAttribute && target.getAttribute('tabindex') === '-1';
             assert(hasTab, 'Target should receive temporary tabindex when navigating via anchor');
+            assert(location.hash === '#test-section' && history.state && history.state.siteappScrollY === undefined, 'Anchor navigation should update the URL hash');
+            history.replaceState(history.state, '', original);
             SiteApp.teardown();
             document.body.removeChild(anchor);
             document.body.removeChild(target);
@@ -1060,7 +5836,8 @@
             form.appendChild(name); form.appendChild(email); form.appendChild(message); form.appendChild(submit);
             document.body.appendChild(form);
 
-            SiteApp.init();
+            // drafts need consent; here the page is assumed to handle it (see testConsent)
+            SiteApp.init({ consent: false });
 
             // Test validation: submit empty form should show errors
             const submitEvent = new Event('submit', { bubbles: true, cancelable: true });
@@ -1090,16 +5867,830 @@
               document.body.removeChild(form);
               if (donePersist) donePersist();
             }, DEFAULTS.formDebounceMs + 100);
-          })();
+          })(testContactTransport);
 
-          // Allow async persistence test to finish if provided a done callback
-          if (typeof done === 'function') {
-            setTimeout(() => done(results), DEFAULTS.formDebounceMs + 200);
-          } else {
-            // otherwise log results later
+          // 4) Contact form transport: server field errors are mapped back onto fields
+          function testContactTransport() {
+            try { localStorage.removeItem(DEFAULTS.contactDraftKey); } catch (_) {}
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name'; name.value = 'Tester';
+            const email = document.createElement('input'); email.name = 'email'; email.value = 'taken@example.com';
+            const message = document.createElement('textarea'); message.name = 'message'; message.value = 'Hello';
+            const submit = document.createElement('button'); submit.type = 'submit'; submit.textContent = 'Send';
+            form.appendChild(name); form.appendChild(email); form.appendChild(message); form.appendChild(submit);
+            document.body.appendChild(form);
+
+            let sent = null;
+            SiteApp.init({
+              spam: { minSubmitMs: 0, rateLimit: null },
+              contactTransport: function (payload) {
+                sent = payload;
+                return Promise.resolve({ ok: false, errors: { email: 'Address rejected' } });
+              }
+            });
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            assert(submit.disabled, 'Submit button should be disabled while the transport is pending');
+
+            setTimeout(() => {
+              assert(sent && sent.email === 'taken@example.com', 'Transport should receive the serialized form payload');
+              assert(email.getAttribute('aria-invalid') === 'true', 'Server field errors should mark the matching field invalid');
+              assert(!submit.disabled, 'Submit button should be re-enabled after the transport settles');
+              SiteApp.teardown();
+              document.body.removeChild(form);
+              testOutbox();
+            }, 50);
+          }
+
+          // 5) Outbox: a transient failure queues the message instead of losing it
+          function testOutbox() {
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name'; name.value = 'Tester';
+            const email = document.createElement('input'); email.name = 'email'; email.value = 'tester@example.com';
+            const message = document.createElement('textarea'); message.name = 'message'; message.value = 'Queued hello';
+            form.appendChild(name); form.appendChild(email); form.appendChild(message);
+            document.body.appendChild(form);
+
+            const outboxKey = 'siteapp_test_outbox';
+            let stopWhileSending = false;
+            let sends = 0;
+            SiteApp.init({
+              contactOutboxKey: outboxKey,
+              spam: { minSubmitMs: 0, rateLimit: null },
+              contactTransport: function () {
+                if (stopWhileSending) {
+                  sends++;
+                  SiteApp.teardown();
+                }
+                return Promise.resolve({ ok: false, retryable: true });
+              }
+            });
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+            setTimeout(() => {
+              SiteApp.outbox.list().then(items => {
+                assert(items.length === 1 && items[0].payload.message === 'Queued hello', 'Transient failures should queue the payload in the outbox');
+                name.value = 'Tester'; email.value = 'tester@example.com'; message.value = 'Queued again';
+                form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+                return new Promise(resolve => setTimeout(resolve, 50));
+              }).then(() => {
+                stopWhileSending = true;
+                return SiteApp.outbox.retry();
+              }).then(() => {
+                assert(sends === 1, 'Stopping the outbox should end a flush that is under way');
+                return SiteApp.outbox.discard();
+              }).then(() => SiteApp.outbox.list()).then(items => {
+                assert(items.length === 0, 'outbox.discard() should empty the queue');
+              }).catch(e => {
+                assert(false, 'Exception while reading outbox: ' + e);
+              }).then(() => {
+                SiteApp.teardown();
+                document.body.removeChild(form);
+                testMultipleForms();
+              });
+            }, 50);
+          }
+
+          // 6) Multiple forms: each [data-siteapp-form] is enhanced and torn down independently
+          function testMultipleForms() {
+            function makeForm(key) {
+              const form = document.createElement('form');
+              form.setAttribute('data-siteapp-form', key);
+              const email = document.createElement('input'); email.name = 'email'; email.required = true;
+              form.appendChild(email);
+              document.body.appendChild(form);
+              return form;
+            }
+            const quote = makeForm('quote');
+            const newsletter = makeForm('newsletter');
+
+            SiteApp.init({ forms: { newsletter: { messages: { emailRequired: 'Newsletter email please' } }, quote: { timeoutMs: 0 } } });
+            assert(SiteApp.forms.list().length === 2, 'Every [data-siteapp-form] should be enhanced');
+            assert(SiteApp.forms.get('quote').config.timeoutMs === 0, 'A form should be able to turn its timeout off');
+            newsletter.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const err = newsletter.querySelector('.form-error');
+            assert(err && err.textContent === 'Newsletter email please', 'Each form should use its own messages');
+            assert(SiteApp.forms.teardown('newsletter') && SiteApp.forms.list().length === 1, 'A single form can be torn down on its own');
+            assert(SiteApp.forms.get('quote[') === null && SiteApp.forms.teardown('feedback:v2') === false, 'An unknown key should find nothing, even when it is not a valid selector');
+            const evt = new Event('submit', { bubbles: true, cancelable: true });
+            quote.dispatchEvent(evt);
+            assert(evt.defaultPrevented, 'Other forms stay enhanced after one is torn down');
+            const unnamed = [0, 1, 2].map(() => document.body.appendChild(document.createElement('form')));
+            SiteApp.forms.enhance(unnamed[0]);
+            SiteApp.forms.enhance(unnamed[1]);
+            SiteApp.forms.teardown(unnamed[0]);
+            SiteApp.forms.enhance(unnamed[2]);
+            const keys = SiteApp.forms.list().map(f => f.key);
+            assert(keys.length === 3 && new Set(keys).size === 3, 'Forms without a key should get one no other form is using');
+
+            SiteApp.teardown();
+            document.body.removeChild(quote);
+            document.body.removeChild(newsletter);
+            unnamed.forEach(form => document.body.removeChild(form));
+            testDraftMigration();
+          }
+
+          // 7) Drafts: an older-version draft is migrated and offered through the restore prompt
+          function testDraftMigration() {
+            const legacyKey = 'siteapp_test_draft_v1';
+            const currentKey = 'siteapp_test_draft_v2';
+            try {
+              localStorage.setItem(legacyKey, JSON.stringify({ name: 'Legacy', message: 'Kept', ts: Date.now() }));
+            } catch (_) {}
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name';
+            const message = document.createElement('textarea'); message.name = 'message';
+            form.appendChild(name); form.appendChild(message);
+            document.body.appendChild(form);
+
+            SiteApp.init({ contactDraftKey: currentKey, draftRestore: 'prompt', consent: false });
+            const banner = form.querySelector('.form-draft-banner');
+            assert(banner && name.value === '', 'Restore prompt should be shown instead of silently refilling fields');
+            const restoreBtn = banner && banner.querySelector('.form-draft-banner__restore');
+            if (restoreBtn) restoreBtn.click();
+            assert(name.value === 'Legacy' && message.value === 'Kept', 'Migrated draft should be restored on request');
+            let migrated = false;
+            try {
+              migrated = !localStorage.getItem(legacyKey) && !!localStorage.getItem(currentKey);
+            } catch (_) {}
+            assert(migrated, 'Legacy draft key should be migrated to the current key');
+
+            SiteApp.teardown();
+            document.body.removeChild(form);
+            try { localStorage.removeItem(currentKey); } catch (_) {}
+            testSpamProtection();
+          }
+
+          // 8) Spam: a filled honeypot or a too-fast submit is dropped but looks like success
+          function testSpamProtection() {
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name'; name.value = 'Bot';
+            const email = document.createElement('input'); email.name = 'email'; email.value = 'bot@example.com';
+            const message = document.createElement('textarea'); message.name = 'message'; message.value = 'Buy now';
+            form.appendChild(name); form.appendChild(email); form.appendChild(message);
+            document.body.appendChild(form);
+
+            let sent = 0;
+            const reasons = [];
+            form.addEventListener('siteapp:spam-blocked', e => reasons.push(e.detail.reason));
+            SiteApp.init({
+              spam: { minSubmitMs: 0, rateLimit: null },
+              contactTransport: function () { sent++; return Promise.resolve({ ok: true }); }
+            });
+            const trap = form.elements.namedItem('website');
+            assert(trap && form.querySelector('.form-hp'), 'A honeypot field should be injected into the form');
+            trap.value = 'http://spam.example';
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const status = form.querySelector('.form-success');
+            assert(sent === 0 && reasons[0] === 'honeypot', 'A filled honeypot should block the submission and report it');
+            assert(status && status.textContent === LOCALES.en.successMessage, 'Blocked submissions should look like success');
+
+            SiteApp.teardown();
+            assert(!form.querySelector('.form-hp'), 'Teardown should remove the honeypot');
+            name.value = 'Bot'; email.value = 'bot@example.com'; message.value = 'Again';
+            SiteApp.init({ contactTransport: function () { sent++; return Promise.resolve({ ok: true }); } });
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            assert(sent === 0 && reasons[1] === 'too-fast', 'Submitting right after render should be blocked');
+
+            SiteApp.teardown();
+            document.body.removeChild(form);
+            testLocale();
+          }
+
+          // 9) i18n: setLocale re-renders live errors and status text; plurals follow the locale
+          function testLocale() {
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name';
+            form.appendChild(name);
+            document.body.appendChild(form);
+
+            SiteApp.init({ locale: 'en', spam: { minSubmitMs: 0, rateLimit: null } });
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const err = name.parentElement.querySelector('.form-error');
+            assert(err && err.textContent === LOCALES.en.nameRequired, 'Errors should use the English bundle');
+            assert(SiteApp.setLocale('de-AT') === 'de-AT' && err.textContent === LOCALES.de.nameRequired, 'setLocale should re-render visible errors');
+            assert(SiteApp.t('tooShort', { count: 1 }) === 'Bitte verwenden Sie mindestens 1 Zeichen.', 'Regional tags should fall back to the language bundle');
+            SiteApp.setLocale('es');
+            assert(SiteApp.t('tooShort', { count: 1 }) !== SiteApp.t('tooShort', { count: 2 }), 'Plural forms should follow the count');
+            assert(SiteApp.t('stepStatus', { step: 2, total: 5 }) === 'Paso 2 de 5', 'Messages should interpolate params');
+
+            SiteApp.teardown();
+            document.body.removeChild(form);
+            testEvents();
+          }
+
+          // 10) Events: subscribers and DOM listeners see lifecycle events; before-submit can veto
+          function testEvents() {
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            const name = document.createElement('input'); name.name = 'name';
+            form.appendChild(name);
+            document.body.appendChild(form);
+
+            const seen = [];
+            let sent = 0;
+            const offInit = SiteApp.on('init', () => seen.push('init'));
+            SiteApp.once('form-invalid', d => seen.push('invalid:' + d.errors[0].name));
+            const veto = e => { seen.push('before-submit'); e.preventDefault(); };
+            form.addEventListener('siteapp:before-submit', veto);
+            SiteApp.init({
+              spam: { minSubmitMs: 0, rateLimit: null },
+              contactTransport: function () { sent++; return Promise.resolve({ ok: true }); }
+            });
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            name.value = 'Tester';
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            assert(seen.join() === 'init,invalid:name,before-submit', 'on/once and DOM listeners should receive events in order');
+            assert(sent === 0, 'A prevented before-submit should stop the submission');
+
+            offInit();
+            form.removeEventListener('siteapp:before-submit', veto);
+            SiteApp.teardown();
+            document.body.removeChild(form);
+            testPlugins();
+          }
+
+          // 11) Plugins: setup receives merged options; listeners and cleanup run on teardown
+          function testPlugins() {
+            const target = document.createElement('div');
+            document.body.appendChild(target);
+            let clicks = 0;
+            let cleaned = false;
+            let who = null;
+            let active = true; // plugins cannot be unregistered; this keeps it out of later tests
+            SiteApp.use({
+              name: 'testPlugin',
+              defaults: { who: 'nobody', greeting: 'hi' },
+              enabled: () => active,
+              setup(ctx) {
+                who = `${ctx.options.greeting} ${ctx.options.who}`;
+                ctx.addListener(target, 'click', () => { clicks++; });
+                return () => { cleaned = true; };
+              }
+            });
+            SiteApp.init({ testPlugin: { who: 'tester' } });
+            target.click();
+            assert(who === 'hi tester' && clicks === 1, 'Plugins should be set up on init with their options');
+            SiteApp.teardown();
+            target.click();
+            assert(cleaned && clicks === 1, 'Plugin cleanup and listeners should be removed on teardown');
+            who = null;
+            SiteApp.init({ testPlugin: false });
+            target.click();
+            assert(who === null && clicks === 1, 'A plugin can be disabled with opts[name] === false');
+
+            SiteApp.teardown();
+            active = false;
+            document.body.removeChild(target);
+            testStepper();
+          }
+
+          // 12) Stepper: API navigation, autoplay, and full cleanup on teardown
+          function testStepper() {
+            const container = document.createElement('div');
+            container.setAttribute('data-stepper', '');
+            for (let i = 0; i < 3; i++) {
+              const step = document.createElement('section');
+              step.className = 'workflow-step';
+              step.innerHTML = `<h3>Step ${i + 1}</h3>`;
+              container.appendChild(step);
+            }
+            document.body.appendChild(container);
+            const pristine = container.innerHTML;
+
+            // a manual clock: tick() runs whatever is due, so nothing races wall-clock timers
+            const realTimers = { setTimeout: global.setTimeout, clearTimeout: global.clearTimeout, setInterval: global.setInterval, clearInterval: global.clearInterval };
+            const timers = new Map(); // id -> { fn, repeat }
+            let timerSeq = 0;
+            global.setTimeout = fn => {
+              timers.set(++timerSeq, { fn, repeat: false });
+              return timerSeq;
+            };
+            global.setInterval = fn => {
+              timers.set(++timerSeq, { fn, repeat: true });
+              return timerSeq;
+            };
+            global.clearTimeout = global.clearInterval = id => { timers.delete(id); };
+            const tick = () => {
+              Array.from(timers.entries()).forEach(([id, timer]) => {
+                if (!timers.has(id)) return;
+                if (!timer.repeat) timers.delete(id);
+                timer.fn();
+              });
+            };
+
+            SiteApp.init({ stepper: { autoplayMs: 20 } });
+            const stepper = SiteApp.Stepper.get(container);
+            assert(stepper && stepper.current === 0 && container.querySelectorAll('.workflow-indicator').length === 3, 'Every [data-stepper] should get a stepper with indicators');
+            stepper.pause();
+            stepper.goTo(2);
+            stepper.next();
+            assert(stepper.current === 0, 'next() should wrap around from the last step');
+            stepper.prev();
+            assert(stepper.current === 2, 'prev() should wrap around from the first step');
+
+            try {
+              tick();
+              assert(stepper.current === 2 && container.getAttribute('data-autoplay-state') === 'paused', 'A paused stepper should not auto-advance');
+              stepper.resume();
+              assert(container.getAttribute('data-autoplay-state') === 'playing' && timers.size > 0, 'resume() should schedule the next step');
+              tick();
+              assert(stepper.current !== 2, 'resume() should restart auto-advance');
+              SiteApp.teardown();
+              const at = stepper.current;
+              assert(container.innerHTML === pristine && !container.hasAttribute('tabindex'), 'Teardown should restore the stepper markup');
+              tick();
+              assert(stepper.current === at && SiteApp.Stepper.list().length === 0, 'Teardown should stop autoplay and forget steppers');
+            } finally {
+              Object.assign(global, realTimers);
+            }
+            document.body.removeChild(container);
+            testStepperSwipe();
+          }
+
+          // 13) Stepper swipe: horizontal drags change step, vertical ones are left to scrolling
+          function testStepperSwipe() {
+            if (typeof PointerEvent !== 'function') {
+              console.info('SiteAppTests: PointerEvent unavailable; skipping the swipe test');
+              testStepperDeepLink();
+              return;
+            }
+            const container = document.createElement('div');
+            container.innerHTML = '<div class="track"><div class="workflow-step">A</div><div class="workflow-step">B</div></div>';
+            document.body.appendChild(container);
+            const track = container.firstChild;
+            const pointer = (type, x, y) => track.dispatchEvent(new PointerEvent(type, {
+              pointerId: 7, pointerType: 'touch', clientX: x, clientY: y, bubbles: true, cancelable: true
+            }));
+
+            SiteApp.init();
+            const stepper = SiteApp.Stepper(container, { loop: false, autoplayMs: 0 });
+            pointer('pointerdown', 200, 100); pointer('pointermove', 190, 160); pointer('pointermove', 100, 260); pointer('pointerup', 100, 260);
+            assert(stepper.current === 0, 'Mostly vertical drags should not change step');
+            pointer('pointerdown', 200, 100); pointer('pointermove', 180, 100); pointer('pointermove', 100, 100); pointer('pointerup', 100, 100);
+            assert(stepper.current === 1, 'A horizontal swipe past the threshold should go to the next step');
+            pointer('pointerdown', 100, 100); pointer('pointermove', 20, 100); pointer('pointermove', 0, 100); pointer('pointerup', 0, 100);
+            assert(stepper.current === 1, 'Swiping past the last step should snap back when not looping');
+
+            SiteApp.teardown();
+            document.body.removeChild(container);
+            testStepperDeepLink();
+          }
+
+          // 14) Stepper deep links: the step is read from and written to the URL
+          function testStepperDeepLink() {
+            const original = location.href;
+            const url = new URL(original);
+            url.searchParams.set('siteapp-test-step', '2');
+            history.replaceState(history.state, '', url.href);
+            const container = document.createElement('div');
+            container.innerHTML = '<div class="workflow-step">A</div><div class="workflow-step">B</div><div class="workflow-step">C</div>';
+            document.body.appendChild(container);
+
+            SiteApp.init();
+            const stepper = SiteApp.Stepper(container, { deepLink: 'query', linkParam: 'siteapp-test-step', autoplayMs: 0 });
+            assert(stepper.current === 1, 'The active step should be restored from the URL');
+            stepper.goTo(2);
+            assert(new URL(location.href).searchParams.get('siteapp-test-step') === '3', 'Changing step should update the URL');
+
+            SiteApp.teardown();
+            document.body.removeChild(container);
+            history.replaceState(history.state, '', original);
+            testStepperAutoplay();
+          }
+
+          // 15) Stepper autoplay: the toggle reflects and controls it; hover never undoes a pause
+          function testStepperAutoplay() {
+            const container = document.createElement('div');
+            container.setAttribute('data-interval', '20');
+            container.innerHTML = '<div class="workflow-step">A</div><div class="workflow-step">B</div>' +
+              '<button type="button" class="workflow-toggle-auto" aria-pressed="false">Auto</button>';
+            document.body.appendChild(container);
+            const toggle = container.querySelector('.workflow-toggle-auto');
+
+            SiteApp.init();
+            const stepper = SiteApp.Stepper(container);
+            assert(stepper.playing && toggle.getAttribute('aria-pressed') === 'true', 'Autoplay should start and be reflected on the toggle');
+            assert(!!container.querySelector('.stepper-progress__bar'), 'Autoplay should show a progress bar');
+            toggle.click();
+            assert(!stepper.playing && toggle.getAttribute('aria-pressed') === 'false', 'The toggle should pause autoplay');
+            container.dispatchEvent(new Event('mouseenter'));
+            container.dispatchEvent(new Event('mouseleave'));
+            setTimeout(() => {
+              assert(stepper.current === 0 && container.getAttribute('data-autoplay-state') === 'paused', 'Hover should not restart a paused stepper');
+              SiteApp.teardown();
+              assert(toggle.textContent === 'Auto' && toggle.getAttribute('aria-pressed') === 'false', 'Teardown should restore the toggle');
+              document.body.removeChild(container);
+              testScrollSpy();
+            }, 60);
+          }
+
+          // 16) Scroll spy: the link of the section crossing the reading line is marked current
+          function testScrollSpy() {
+            const RealIO = window.IntersectionObserver;
+            const observers = [];
+            window.IntersectionObserver = function (callback, options) {
+              this.targets = [];
+              this.options = options;
+              this.observe = el => this.targets.push(el);
+              this.disconnect = () => { this.targets = []; };
+              this.fire = (el, on) => callback([{ target: el, isIntersecting: on }]);
+              observers.push(this);
+            };
+            const nav = document.createElement('nav');
+            nav.innerHTML = '<a href="#spy-a">A</a><a href="#spy-b" aria-current="true">B</a>';
+            const a = document.createElement('section');
+            a.id = 'spy-a';
+            const b = document.createElement('section');
+            b.id = 'spy-b';
+            document.body.append(nav, a, b);
+            const [linkA, linkB] = nav.querySelectorAll('a');
+
+            try {
+              SiteApp.init({ enableMobileNav: false });
+              const [band] = observers;
+              assert(band && band.targets.length === 2 && /^-\d+px/.test(band.options.rootMargin), 'Scroll spy should observe linked sections below the header offset');
+              band.fire(a, true);
+              assert(linkA.getAttribute('aria-current') === 'location' && linkA.classList.contains('is-active'), 'The section crossing the line should mark its link');
+              band.fire(b, true);
+              assert(linkB.getAttribute('aria-current') === 'location' && !linkA.hasAttribute('aria-current'), 'Only the latest section should be current');
+              SiteApp.teardown();
+              assert(linkB.getAttribute('aria-current') === 'true' && !linkB.classList.contains('is-active'), 'Teardown should restore the nav links');
+            } finally {
+              window.IntersectionObserver = RealIO;
+              [nav, a, b].forEach(el => el.remove());
+            }
+            testAnalytics();
+          }
+
+          // 17) Analytics: nothing is recorded before consent; events are batched into the sink
+          function testAnalytics() {
+            const batches = [];
+            const cta = document.createElement('button');
+            cta.type = 'button';
+            cta.setAttribute('data-cta', 'test-cta');
+            cta.textContent = 'Book a call';
+            document.body.appendChild(cta);
+
+            SiteApp.init({ analytics: { sink: events => batches.push(events), batchSize: 2 } });
+            cta.click();
+            assert(!SiteApp.analytics.track('custom') && SiteApp.analytics.flush() === 0, 'Analytics should record nothing before consent');
+            SiteApp.analytics.setConsent(true);
+            cta.click();
+            SiteApp.analytics.track('custom', { n: 1 });
+            assert(batches.length === 1 && batches[0][0].name === 'cta_click' && batches[0][0].props.cta === 'test-cta', 'Events should reach the sink once a batch is full');
+            SiteApp.analytics.track('custom');
+            SiteApp.analytics.setConsent(false);
+            assert(SiteApp.analytics.flush() === 0, 'Withdrawing consent should drop queued events');
+            SiteApp.teardown();
+            document.body.removeChild(cta);
+            testConsent();
+          }
+
+          // 18) Consent: the banner asks once; drafts are kept only with consent and deleted when it is withdrawn
+          function testConsent() {
+            const storageKey = 'siteapp_test_consent';
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            form.innerHTML = '<input name="name"><input name="email"><textarea name="message"></textarea>';
+            document.body.appendChild(form);
+            const name = form.querySelector('[name="name"]');
+            const type = () => {
+              name.value = 'Consent tester';
+              name.dispatchEvent(new Event('input', { bubbles: true }));
+            };
+            try { localStorage.removeItem(storageKey); } catch (_) {}
+
+            SiteApp.init({ consent: { storageKey }, formDebounceMs: 0 });
+            assert(!!document.querySelector('.consent-banner') && SiteApp.consent.get() === null, 'Without a consent record the banner should ask');
+            type();
+            setTimeout(() => {
+              assert(!localStorage.getItem(DEFAULTS.contactDraftKey), 'Drafts should not be stored before consent');
+              SiteApp.consent.update({ preferences: true });
+              const stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+              assert(!document.querySelector('.consent-banner') && stored && stored.version === 1 && stored.categories.preferences === true && !!stored.timestamp, 'A choice should be stored with version and timestamp and close the banner');
+              type();
+              setTimeout(() => {
+                assert(!!localStorage.getItem(DEFAULTS.contactDraftKey), 'Drafts should be stored once preferences are allowed');
+                SiteApp.consent.showPreferences();
+                const dialog = document.querySelector('.consent-dialog');
+                dialog.querySelector('[name="preferences"]').checked = false;
+                dialog.querySelector('.btn-primary').click();
+                assert(!SiteApp.consent.allows('preferences') && !localStorage.getItem(DEFAULTS.contactDraftKey), 'Withdrawing consent in the dialog should delete stored drafts');
+                SiteApp.teardown();
+                assert(!document.querySelector('.consent-banner, .consent-dialog'), 'Teardown should remove the consent UI');
+                try { localStorage.removeItem(storageKey); } catch (_) {}
+                document.body.removeChild(form);
+                testTheme();
+              }, 30);
+            }, 30);
+          }
+
+          // 19) Theme: toggles cycle the mode, the choice is stored, teardown restores <html>
+          function testTheme() {
+            const storageKey = 'siteapp_test_theme';
+            const root = document.documentElement;
+            const before = root.getAttribute('data-theme');
+            const toggle = document.createElement('button');
+            toggle.setAttribute('data-theme-toggle', '');
+            toggle.hidden = true;
+            toggle.textContent = 'Theme';
+            document.body.appendChild(toggle);
+            try { localStorage.setItem(storageKey, 'light'); } catch (_) {}
+
+            SiteApp.init({ consent: false, locale: 'en', theme: { storageKey } });
+            assert(SiteApp.theme.get() === 'light' && root.getAttribute('data-theme') === 'light', 'The stored theme should be applied on init');
+            assert(!toggle.hidden && toggle.textContent === 'Theme: Light', 'Theme toggles should be shown with the current mode');
+            toggle.click();
+            assert(SiteApp.theme.get() === 'dark' && root.getAttribute('data-theme') === 'dark' && localStorage.getItem(storageKey) === 'dark', 'The toggle should switch and store the theme');
+            SiteApp.theme.set('system');
+            assert(['light', 'dark'].indexOf(root.getAttribute('data-theme')) !== -1 && toggle.textContent === 'Theme: System', 'System mode should resolve to a concrete scheme');
+            SiteApp.teardown();
+            assert(root.getAttribute('data-theme') === before && toggle.hidden && toggle.textContent === 'Theme', 'Teardown should restore <html> and the toggle');
+            try { localStorage.removeItem(storageKey); } catch (_) {}
+            document.body.removeChild(toggle);
+            testDeclarativeConfig();
+          }
+
+          // 20) Declarative config: #siteapp-config and data-siteapp-* feed init; forms adopt the page's error and status elements
+          function testDeclarativeConfig() {
+            const root = document.documentElement;
+            const block = document.createElement('script');
+            block.type = 'application/json';
+            block.id = 'siteapp-config';
+            block.textContent = JSON.stringify({ smoothScrollHistory: 'off', formDebounceMs: 0, messages: { nameRequired: 'Name from JSON' } });
+            document.body.appendChild(block);
+            document.body.setAttribute('data-siteapp-smooth-scroll-history', 'replace');
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            form.innerHTML = '<input id="t-name" name="name" aria-describedby="t-name-error"><span class="field-error" id="t-name-error"></span>' +
+              '<input name="email" value="a@example.com"><textarea name="message">Hi</textarea><div id="form-status" class="form-status"></div>';
+            document.body.appendChild(form);
+            let declared = null;
+            SiteApp.once('init', detail => { declared = detail.options; });
+
+            assert(root.getAttribute('data-siteapp') === 'loaded', 'A loaded script.js should mark <html data-siteapp="loaded">');
+            SiteApp.init({ consent: false, spam: { honeypot: false, minSubmitMs: 0, rateLimit: null } });
+            assert(root.getAttribute('data-siteapp') === 'enhanced', 'init() should mark the page as enhanced');
+            assert(declared && declared.smoothScrollHistory === 'replace' && declared.formDebounceMs === 0, 'Attributes should win over the JSON block, which fills in the rest');
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const err = document.getElementById('t-name-error');
+            assert(err.textContent === 'Name from JSON' && !form.querySelector('.form-error'), 'Errors should go to the aria-describedby element');
+            form.querySelector('[name="name"]').value = 'Declared';
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            setTimeout(() => {
+              const status = document.getElementById('form-status');
+              assert(err.textContent === '' && status.textContent !== '' && !form.querySelector('.form-success'), 'Status messages should go to the existing .form-status');
+              SiteApp.teardown();
+              assert(root.getAttribute('data-siteapp') === 'loaded', 'Teardown should drop the enhanced mark');
+              document.body.removeAttribute('data-siteapp-smooth-scroll-history');
+              document.body.removeChild(block);
+              document.body.removeChild(form);
+              testLogging();
+            }, 30);
+          }
+
+          // 21) Logging: per-namespace levels, transports, deduplicated error capture and diagnostics
+          function testLogging() {
+            const seen = [];
+            SiteApp.init({ consent: false, logger: { level: 'warn', levels: { form: 'debug' }, transports: ['ring', entry => seen.push(entry)], ringSize: 3 } });
+            formLog.debug('Harness form detail');
+            navLog.info('Harness nav chatter');
+            assert(seen.some(e => e.ns === 'SiteApp:form' && e.message === 'Harness form detail') && !seen.some(e => e.ns === 'SiteApp:nav'), 'Each namespace should use its own level');
+            const boom = new Error('Harness boom');
+            for (let i = 0; i < 3; i++) {
+              global.dispatchEvent(new ErrorEvent('error', { error: boom, message: boom.message, filename: 'harness.js', lineno: 1, colno: 2 }));
+            }
+            const rejection = new Event('unhandledrejection');
+            rejection.reason = new Error('Harness rejection');
+            global.dispatchEvent(rejection);
+            const captured = seen.filter(e => e.captured);
+            assert(captured.length === 2 && captured[0].count === 3 && captured[0].source === 'harness.js:1:2', 'Repeated errors should be reported once, with a count');
+            const diag = JSON.parse(JSON.stringify(SiteApp.getDiagnostics()));
+            assert(diag.initialized && diag.plugins.indexOf('formEnhancer') !== -1 && diag.options.logger.level === 'warn', 'Diagnostics should include the running plugins and options');
+            assert(diag.listeners.some(l => l.target === 'window' && l.type === 'unhandledrejection') && diag.errors.length >= 2, 'Diagnostics should list listeners and captured errors');
+            assert(diag.log.length === 3 && diag.log[2].message.indexOf('Harness rejection') !== -1, 'The ring buffer should keep the latest entries');
+            SiteApp.teardown();
+            Logger.configure(DEFAULTS.logger);
+            testOptions();
+          }
+
+          // 22) Options: schema errors, deep merge, unknown-key warnings and configure()
+          function testOptions() {
+            const rejects = (options, Err, path) => {
+              try {
+                SiteApp.init(options);
+              } catch (e) {
+                return e instanceof Err && e.message.indexOf(`"${path}"`) !== -1;
+              }
+              SiteApp.teardown();
+              return false;
+            };
+            assert(rejects({ smoothScrollHistory: 'sideways' }, RangeError, 'smoothScrollHistory') && rejects({ spam: { minSubmitMs: 'fast' } }, TypeError, 'spam.minSubmitMs'), 'Invalid values should throw, naming the option');
+            assert(rejects({ stepper: { selector: '[data-stepper' } }, TypeError, 'stepper.selector') && rejects({ scrollSpy: { line: 2 } }, RangeError, 'scrollSpy.line'), 'Plugin options and selectors should be checked too');
+
+            const form = document.createElement('form');
+            form.id = 'contact-form';
+            form.innerHTML = '<p><input name="name"></p><p><input name="email"></p><p><textarea name="message"></textarea></p>';
+            document.body.appendChild(form);
+            SiteApp.init({ consent: false, spam: { minSubmitMs: 0 }, smoothScrolHistory: 'off' });
+            const spam = SiteApp.getDiagnostics().options.spam;
+            assert(spam.minSubmitMs === 0 && spam.honeypot === true && spam.rateLimit && spam.rateLimit.max === DEFAULTS.spam.rateLimit.max, 'Nested options should be merged over the defaults');
+            assert(Logger.entries().some(e => e.message === 'Unknown SiteApp option "smoothScrolHistory" (did you mean "smoothScrollHistory"?)'), 'Unknown options should be warned about, with a suggestion');
+
+            let change = null;
+            SiteApp.on('config-change', detail => { change = detail; });
+            SiteApp.configure({ contactTimeoutMs: DEFAULTS.contactTimeoutMs + 1 });
+            assert(change && change.changed.join() === 'contactTimeoutMs' && change.restarted.indexOf('formEnhancer') !== -1 && change.restarted.indexOf('mobileNav') === -1, 'configure() should restart only the modules that read the option');
+            SiteApp.configure({ messages: { nameRequired: 'Your name, please' } });
+            assert(change.changed.join() === 'messages' && !change.restarted.length, 'Message changes should apply without restarting a module');
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const err = form.querySelector('.form-error');
+            assert(err && err.textContent === 'Your name, please', 'Forms should use the new options');
+            SiteApp.configure({ scrollSpy: false });
+            const stopped = SiteApp.getDiagnostics().plugins.indexOf('scrollSpy') === -1;
+            SiteApp.configure({ scrollSpy: true });
+            assert(stopped && SiteApp.getDiagnostics().plugins.indexOf('scrollSpy') !== -1, 'configure() should stop and start plugins');
+            const online = () => SiteApp.getDiagnostics().listeners.filter(l => l.type === 'online').reduce((n, l) => n + l.count, 0);
+            const before = online();
+            SiteApp.configure({ outboxBackoffMs: DEFAULTS.outboxBackoffMs + 1 });
+            SiteApp.configure({ outboxBackoffMs: DEFAULTS.outboxBackoffMs });
+            assert(before === 1 && online() === 1, 'Restarting the outbox should not pile up online listeners');
+            SiteApp.off('config-change');
+            SiteApp.teardown();
+            document.body.removeChild(form);
+            testScopedApps();
+          }
+
+          // 23) Scoped apps: SiteApp.create() on an element and a ShadowRoot, each on its own
+          function testScopedApps() {
+            const widget = '<form id="contact-form"><p><input name="name"></p><p><input name="email"></p><p><textarea name="message"></textarea></p></form>' +
+              '<div data-stepper><section class="workflow-step"><h3>One</h3></section><section class="workflow-step"><h3>Two</h3></section></div>';
+            const outside = document.createElement('div');
+            outside.innerHTML = widget;
+            const hostA = document.createElement('div');
+            hostA.id = 'harness-a';
+            hostA.innerHTML = widget;
+            const hostB = document.createElement('div');
+            const shadow = hostB.attachShadow({ mode: 'open' });
+            shadow.innerHTML = widget;
+            [outside, hostA, hostB].forEach(el => document.body.appendChild(el));
+            const pristine = outside.innerHTML;
+
+            const a = SiteApp.create({ root: hostA, formDebounceMs: 0 });
+            const b = SiteApp.create({ root: shadow, name: 'b', formDebounceMs: 0 });
+            const invalid = { a: 0, b: 0 };
+            a.on('form-invalid', () => { invalid.a++; });
+            b.on('form-invalid', () => { invalid.b++; });
+            let again = null;
+            try { SiteApp.create({ root: hostA }); } catch (e) { again = e; }
+            assert(again instanceof Error && !SiteApp.getDiagnostics().initialized, 'A root should hold one app, and SiteApp should stay uninitialized');
+
+            const formA = hostA.querySelector('form');
+            formA.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            assert(invalid.a === 1 && invalid.b === 0 && !!formA.querySelector('.form-error'), 'Each app should handle and report only its own forms');
+            assert(a.Stepper.list().length === 1 && b.Stepper.list().length === 1 && !!shadow.querySelector('.workflow-indicator'), 'Each app should enhance the steppers in its root, shadow roots included');
+            [formA, shadow.querySelector('form')].forEach((form, i) => {
+              const field = form.querySelector('[name="name"]');
+              field.value = i ? 'Shadow' : 'Element';
+              field.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+            setTimeout(() => {
+              const draftA = localStorage.getItem(`${DEFAULTS.contactDraftKey}:harness-a`) || '';
+              const draftB = localStorage.getItem(`${DEFAULTS.contactDraftKey}:b`) || '';
+              assert(draftA.indexOf('Element') !== -1 && draftB.indexOf('Shadow') !== -1 && !localStorage.getItem(DEFAULTS.contactDraftKey), 'Drafts should be stored per app, keyed by name or root id');
+              assert(outside.innerHTML === pristine && document.documentElement.getAttribute('data-siteapp') === 'loaded', 'Scoped apps should leave everything outside their roots alone');
+              a.teardown();
+              assert(!hostA.querySelector('.workflow-indicator') && !!shadow.querySelector('.workflow-indicator') && b.forms.list().length === 1, 'Tearing down one app should leave the other running');
+              b.teardown();
+              const reused = SiteApp.create({ root: hostA });
+              assert(reused !== a && reused.forms.list().length === 1, 'A torn-down root should accept a new app');
+              reused.teardown();
+              try {
+                localStorage.removeItem(`${DEFAULTS.contactDraftKey}:harness-a`);
+                localStorage.removeItem(`${DEFAULTS.contactDraftKey}:b`);
+              } catch (_) {}
+              [outside, hostA, hostB].forEach(el => document.body.removeChild(el));
+              testScopedInsideSiteApp();
+            }, 30);
+          }
+
+          // 23b) A scoped app inside the page SiteApp runs on: SiteApp hands over and keeps out
+          function testScopedInsideSiteApp() {
+            const widget = document.createElement('div');
+            widget.id = 'widget';
+            widget.innerHTML = '<form data-siteapp-form="w"><p><input name="email"></p><a href="#w-top" data-cta="w">Top</a></form>' +
+              '<div data-stepper><section class="workflow-step"><h3>One</h3></section><section class="workflow-step"><h3>Two</h3></section></div>';
+            document.body.appendChild(widget);
+            const logged = Logger.entries().length;
+            const sent = [];
+            SiteApp.init({ consent: false, spam: { honeypot: true }, analytics: { consent: true, batchSize: 1, sink: events => sent.push.apply(sent, events) } });
+            let rejected = null;
+            try { SiteApp.create({ root: widget, smoothScrollHistory: 'sideways' }); } catch (e) { rejected = e; }
+            assert(rejected instanceof RangeError && SiteApp.getDiagnostics().forms.indexOf('w') !== -1 && SiteApp.Stepper.list().length === 1, 'A scoped app that fails to start should leave its root with SiteApp');
+            const w = SiteApp.create({ root: widget });
+            const handedOver = SiteApp.getDiagnostics().forms.indexOf('w') === -1 && w.getDiagnostics().forms.indexOf('w') !== -1;
+            SiteApp.configure({ contactTimeoutMs: DEFAULTS.contactTimeoutMs + 1, stepper: { autoplay: false } });
+            assert(handedOver && SiteApp.getDiagnostics().forms.indexOf('w') === -1, 'Only the scoped app should enhance the forms in its root');
+            assert(SiteApp.Stepper.list().length === 0 && w.Stepper.list().length === 1 && widget.querySelectorAll('.workflow-indicator').length === 2, 'Only the scoped app should enhance the steppers in its root');
+            assert(!Logger.entries().slice(logged).some(e => /honeypot not added/.test(e.message)), 'A form should not be enhanced twice');
+            widget.querySelector('a').click();
+            assert(!sent.some(e => e.name === 'cta_click'), 'SiteApp should leave clicks inside a scoped root to that app');
+            w.teardown();
+            assert(SiteApp.getDiagnostics().forms.indexOf('w') !== -1 && SiteApp.Stepper.list().length === 1 && widget.querySelectorAll('.workflow-indicator').length === 2, 'SiteApp should take the root back when the scoped app is torn down');
+            SiteApp.teardown();
+            document.body.removeChild(widget);
+            testTeardownRestores();
+          }
+
+          // 24) Teardown puts back every attribute, class, text and node, init after init
+          function testTeardownRestores() {
+            const page = document.createElement('div');
+            page.innerHTML = '<button class="nav-toggle"></button><nav id="mobile-menu"><a href="#t-top">Top</a></nav>' +
+              '<button data-consent-open hidden>Privacy</button><button data-theme-toggle hidden>Theme</button>' +
+              '<form id="contact-form"><p><input id="t-name" name="name" aria-describedby="t-name-error"><span class="field-error" id="t-name-error">From the server</span></p>' +
+              '<p><input name="email"></p><p><textarea name="message"></textarea></p><div class="form-status">Sent earlier</div><button type="submit">Send</button></form>' +
+              '<div data-stepper><section class="workflow-step"><h3>One</h3></section><section class="workflow-step"><h3>Two</h3></section>' +
+              '<div class="workflow-indicators"><button class="workflow-indicator">x</button></div></div>';
+            document.body.appendChild(page);
+            const storageKey = 'siteapp_test_consent_journal';
+            const snapshot = () => document.documentElement.cloneNode(false).outerHTML + document.body.outerHTML;
+            const pristine = snapshot();
+            const form = page.querySelector('form');
+            const submit = () => form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            const options = { consent: { storageKey }, formDebounceMs: 0, spam: { honeypot: true, minSubmitMs: 0, rateLimit: null } };
+
+            SiteApp.init(options);
+            page.querySelector('.nav-toggle').click();
+            submit();
+            assert(document.body.classList.contains(DEFAULTS.mobileNavOpenClass) && !!document.querySelector('.consent-banner') && form.querySelector('[aria-invalid="true"]'), 'The app should have changed the page');
+            SiteApp.teardown();
+            const once = snapshot() === pristine;
+            SiteApp.init(options);
+            ['name', 'email', 'message'].forEach(n => { form.elements[n].value = n === 'email' ? 'a@example.com' : 'Journal'; });
+            submit();
             setTimeout(() => {
+              const changed = form.querySelector('.form-status').textContent !== 'Sent earlier';
+              SiteApp.teardown();
+              assert(once && changed && snapshot() === pristine, 'Teardown should restore the page exactly, every time');
+              try { localStorage.removeItem(storageKey); } catch (_) {}
+              document.body.removeChild(page);
+              testContent();
+            }, 30);
+          }
+
+          // 25) Content: entries render through the page's markup, checked, ordered and dated
+          function testContent() {
+            const page = document.createElement('div');
+            page.innerHTML = '<ul class="services-grid"><li class="service-item" id="service-1"><h3 class="service-title">Static</h3>' +
+              '<p class="service-desc">Fallback</p><a class="service-learn" href="#static">More</a></li></ul>' +
+              '<ul class="testimonials-list"><template data-content-template="testimonials"><li class="testimonial"><q data-content-field="quote"></q> ' +
+              '<cite class="testimonial-author"></cite></li></template><li class="testimonial">Static quote</li></ul>';
+            document.body.appendChild(page);
+            const pristine = page.innerHTML;
+            let rendered = null;
+            SiteApp.once('content-render', detail => { rendered = detail.rendered; });
+            SiteApp.init({
+              consent: false,
+              content: {
+                data: {
+                  services: [
+                    { id: 'svc-a', title: 'Second', description: 'B', order: 2 },
+                    { id: 'svc-b', title: 'First', description: 'A', order: 1, linkText: 'Go', linkHref: '#go' },
+                    { id: 'svc-c', title: 'Top', description: 'C', order: 9, featured: true },
+                    { id: 'svc-d', title: 42, description: 'Wrong type' },
+                    { id: 'svc-e', title: 'Gone', description: 'Expired', visibleUntil: '2000-01-01' },
+                    { id: 'svc-f', title: 'Soon', description: 'Later', visibleFrom: '2999-01-01' },
+                  ],
+                  testimonials: [{ quote: 'Great', author: 'Ada' }],
+                  testimonal: [],
+                },
+              },
+            });
+            const items = Array.from(page.querySelectorAll('.service-item'));
+            assert(items.map(el => el.id).join() === 'svc-c,svc-b,svc-a' && rendered && rendered.services === 3, 'Featured entries should lead, then by order; invalid and out-of-date entries are skipped');
+            assert(items[0].classList.contains('is-featured') && !items[0].querySelector('.service-learn') && items[1].querySelector('.service-learn').getAttribute('href') === '#go', 'Entries should fill the copied markup, dropping elements without data');
+            const quote = page.querySelector('.testimonials-list > li.testimonial');
+            assert(quote.querySelector('q').textContent === 'Great' && quote.querySelector('cite').textContent === 'Ada' && page.querySelectorAll('.testimonials-list > li').length === 1, 'A <template> should be used when the container has one');
+            assert(Logger.entries().some(e => e.message.indexOf('content.services[3].title') !== -1) && Logger.entries().some(e => e.message.indexOf('"content.testimonal"') !== -1), 'Schema problems should be logged, with the entry path');
+            SiteApp.teardown();
+            assert(page.innerHTML === pristine, 'Teardown should bring back the static markup');
+            document.body.removeChild(page);
+            finish();
+          }
+
+          function finish() {
+            try { localStorage.removeItem(DEFAULTS.contactDraftKey); } catch (_) {}
+            if (typeof done === 'function') {
+              done(results);
+            } else {
               console.info('SiteAppTests results', results);
-            }, DEFAULTS.formDebounceMs + 200);
+            }
           }
         }
       };
@@ -1109,9 +6700,4 @@
     try { console.debug('SiteApp test harness error', e); } catch (_) {}
   }
 
-  // Set a global loaded flag so page-specific inline fallbacks can detect this script
-  try {
-    global.__lumenaiScriptLoaded = true;
-  } catch (_) {}
-
 })(typeof window !== 'undefined' ? window : this);
\ No newline at end of file